@@ -0,0 +1,217 @@
+// admin.js — admin page: upload a report by hand, edit overrides.json
+// (server.mjs /api/admin/upload and PUT /api/overrides)
+
+import { FACILITY_CONFIG } from "./facility-config.mjs";
+import { isExpired, validateOverrides } from "./overrides.mjs";
+
+// Kept on this browser so staff don't retype them each morning
+const TOKEN_KEY = "raec-board:admin-token";
+const NAME_KEY = "raec-board:admin-name";
+
+const $ = (id) => document.getElementById(id);
+
+function remember(input, key) {
+  input.value = localStorage.getItem(key) || "";
+  input.addEventListener("change", () => localStorage.setItem(key, input.value.trim()));
+}
+
+// Calls an admin endpoint; resolves to the JSON body or throws with the server's message
+async function adminRequest(path, { method = "POST", body, headers = {} } = {}) {
+  const res = await fetch(path, {
+    method,
+    body,
+    headers: { ...headers, Authorization: `Bearer ${$("token").value.trim()}` },
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+  return json;
+}
+
+function showResult(el, message, isError = false) {
+  el.textContent = message;
+  el.classList.toggle("is-error", isError);
+  el.hidden = false;
+}
+
+// ---------- Report upload ----------
+
+async function uploadReport(event) {
+  event.preventDefault();
+  const result = $("uploadResult");
+  const file = $("reportFile").files[0];
+  const text = $("reportText").value;
+
+  if (!file && !text.trim()) {
+    showResult(result, "Choose a report file or paste one first.", true);
+    return;
+  }
+
+  const params = new URLSearchParams({ by: $("uploadedBy").value.trim() });
+  params.set("filename", file ? file.name : "pasted.csv");
+
+  const button = event.submitter;
+  button.disabled = true;
+  showResult(result, "Publishing…");
+  try {
+    const summary = await adminRequest(`./api/admin/upload?${params}`, {
+      body: file || text,
+      headers: { "Content-Type": file?.type || "text/csv" },
+    });
+    const conflicts = summary.conflicts ? ` — ${summary.conflicts} conflict(s), check the reconciliation report` : "";
+    showResult(
+      result,
+      `Published ${summary.slots} booking(s) for ${summary.dates.join(", ") || summary.reportDate}${conflicts}.`
+    );
+    $("reportFile").value = "";
+    $("reportText").value = "";
+  } catch (err) {
+    showResult(result, err.message, true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// ---------- Overrides and announcements ----------
+// The page edits a copy of overrides.json and PUTs the whole file on each change.
+
+let OVERRIDES = { overrides: [], announcements: [] };
+
+const ROOM_LABELS = new Map(FACILITY_CONFIG.rooms.map((r) => [r.id, r.label]));
+const ACTION_LABELS = { block: "Block out", hide: "Hide", rename: "Rename", add: "Add" };
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// "2025-11-03T18:00" -> "Mon, Nov 3, 6:00 PM"; "2025-11-03" -> "Mon, Nov 3"
+function formatWhen(value) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const d = new Date(dateOnly ? `${value}T00:00` : value);
+  const options = { weekday: "short", month: "short", day: "numeric" };
+  if (!dateOnly) Object.assign(options, { hour: "numeric", minute: "2-digit" });
+  return d.toLocaleString(undefined, options);
+}
+
+function describeOverride(o) {
+  const parts = [ACTION_LABELS[o.action] || o.action];
+  parts.push(o.rooms?.length ? o.rooms.map((id) => ROOM_LABELS.get(id) || id).join(", ") : "all rooms");
+  parts.push(o.date ? formatWhen(o.date) : "every day");
+  if (o.start || o.end) parts.push(`${o.start || "open"}–${o.end || "close"}`);
+  if (o.match) parts.push(`matching “${o.match}”`);
+  const text = [o.title, o.subtitle].filter(Boolean).join(" — ");
+  if (text) parts.push(`→ “${text}”`);
+  if (o.note) parts.push(`(${o.note})`);
+  return parts.join(" · ");
+}
+
+function renderList(list, entries, describe, onRemove) {
+  list.textContent = "";
+  if (!entries.length) {
+    list.appendChild(document.createElement("li")).textContent = "None";
+    return;
+  }
+  entries.forEach((entry, i) => {
+    const item = document.createElement("li");
+    if (isExpired(entry)) item.classList.add("is-expired");
+
+    const text = document.createElement("span");
+    text.textContent = describe(entry) + (entry.expires ? ` · until ${formatWhen(entry.expires)}` : "");
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => onRemove(i));
+
+    item.append(text, remove);
+    list.appendChild(item);
+  });
+}
+
+function renderOverrides() {
+  renderList($("overrideList"), OVERRIDES.overrides, describeOverride, (i) =>
+    saveOverrides((doc) => doc.overrides.splice(i, 1), $("overrideResult"))
+  );
+  renderList($("announcementList"), OVERRIDES.announcements, (a) => `${a.level === "warning" ? "⚠ " : ""}${a.text}`, (i) =>
+    saveOverrides((doc) => doc.announcements.splice(i, 1), $("announcementResult"))
+  );
+}
+
+async function loadOverrides() {
+  const res = await fetch("./overrides.json", { cache: "no-store" });
+  if (res.status === 404) return;
+  if (!res.ok) throw new Error(`overrides.json: HTTP ${res.status}`);
+  const data = await res.json();
+  OVERRIDES = { overrides: data.overrides || [], announcements: data.announcements || [] };
+}
+
+// Apply `change` to a copy, check it, save it; true when saved
+async function saveOverrides(change, result) {
+  const doc = structuredClone(OVERRIDES);
+  change(doc);
+
+  const problems = validateOverrides(doc);
+  if (problems.length) {
+    showResult(result, problems.map((p) => p.replace(/^\w+\[\d+\]: /, "")).join("\n"), true);
+    return false;
+  }
+
+  try {
+    const saved = await adminRequest("./api/overrides", {
+      method: "PUT",
+      body: JSON.stringify(doc),
+      headers: { "Content-Type": "application/json" },
+    });
+    OVERRIDES = { overrides: saved.overrides, announcements: saved.announcements };
+    renderOverrides();
+    showResult(result, "Saved — the boards will update in a moment.");
+    return true;
+  } catch (err) {
+    showResult(result, err.message, true);
+    return false;
+  }
+}
+
+// Form fields -> entry, leaving out what wasn't filled in
+function formEntry(form) {
+  const entry = { id: newId() };
+  for (const [name, value] of new FormData(form)) {
+    if (name === "rooms" || !String(value).trim()) continue;
+    entry[name] = String(value).trim();
+  }
+  const rooms = Array.from(form.elements.rooms?.selectedOptions || [], (o) => o.value);
+  if (rooms.length) entry.rooms = rooms;
+  return entry;
+}
+
+async function addOverride(event) {
+  event.preventDefault();
+  const form = event.target;
+  const entry = formEntry(form);
+  if (await saveOverrides((doc) => doc.overrides.push(entry), $("overrideResult"))) form.reset();
+}
+
+async function addAnnouncement(event) {
+  event.preventDefault();
+  const form = event.target;
+  const entry = formEntry(form);
+  if (await saveOverrides((doc) => doc.announcements.push(entry), $("announcementResult"))) form.reset();
+}
+
+function fillRoomOptions(select) {
+  for (const room of FACILITY_CONFIG.rooms) {
+    const option = document.createElement("option");
+    option.value = room.id;
+    option.textContent = room.label === room.id ? room.id : `${room.label} (${room.id})`;
+    select.appendChild(option);
+  }
+}
+
+// ---------- Boot ----------
+
+remember($("token"), TOKEN_KEY);
+remember($("uploadedBy"), NAME_KEY);
+$("uploadForm").addEventListener("submit", uploadReport);
+
+fillRoomOptions($("overrideForm").elements.rooms);
+$("overrideForm").addEventListener("submit", addOverride);
+$("announcementForm").addEventListener("submit", addAnnouncement);
+loadOverrides()
+  .then(renderOverrides)
+  .catch((err) => showResult($("overrideResult"), err.message, true));
@@ -1,7 +1,28 @@
-// app.js — Cluster time-block sync, one event per room, global 8s tick, no animation
-
-const STAGE_WIDTH = 1920;
-const STAGE_HEIGHT = 1080;
+// app.js — Cluster time-block sync, one event per room, global tick, no animation
+
+import { FACILITY_CONFIG } from "./facility-config.mjs";
+import { readEvents } from "./events-schema.mjs";
+import { resolveProfile } from "./display-profiles.mjs";
+import { roomStatus, slotBounds, parseClock } from "./schedule.mjs";
+import { applyOverrides, activeAnnouncements, validateOverrides } from "./overrides.mjs";
+import { resolveVisibility, visibleSlots } from "./visibility.mjs";
+
+// Which clusters this screen shows, how fast it rotates and how big it is
+// (display-profiles.mjs, chosen by ?profile=… and friends)
+const PROFILE = resolveProfile(
+  location.search,
+  FACILITY_CONFIG.clusters.map((c) => c.id)
+);
+
+// Which slots are shown when: ended, hidden by rule, tomorrow's after close
+// (visibility.mjs defaults, or the profile's `visibility`)
+const VISIBILITY = resolveVisibility(PROFILE.visibility);
+
+// The stage is laid out at this size and scaled to fit the screen;
+// a profile scale of 1.5 lays it out smaller so everything ends up 1.5× bigger
+const IS_PORTRAIT = PROFILE.orientation === "portrait";
+const STAGE_WIDTH = Math.round((IS_PORTRAIT ? 1080 : 1920) / PROFILE.scale);
+const STAGE_HEIGHT = Math.round((IS_PORTRAIT ? 1920 : 1080) / PROFILE.scale);
 
 // ---------- Utilities ----------
 
@@ -14,32 +35,38 @@ function minutesNowLocal() {
   return d.getHours() * 60 + d.getMinutes();
 }
 
+// Minutes from midnight -> "7:30pm"
+function formatClock(m) {
+  const h24 = Math.floor(m / 60) % 24;
+  const h12 = ((h24 + 11) % 12) + 1;
+  const mm = m % 60;
+  const ampm = h24 >= 12 ? "pm" : "am";
+  return `${h12}:${pad(mm)}${ampm}`;
+}
+
 // startMin/endMin are minutes-from-midnight from transform.mjs
+// (endMin is 1440 for a slot that runs to midnight)
 function formatRange(startMin, endMin) {
-  const fmt = (m) => {
-    const h24 = Math.floor(m / 60);
-    const h12 = ((h24 + 11) % 12) + 1;
-    const mm = m % 60;
-    const ampm = h24 >= 12 ? "pm" : "am";
-    return `${h12}:${pad(mm)}${ampm}`;
-  };
-  return `${fmt(startMin)}–${fmt(endMin)}`;
+  return `${formatClock(startMin)}–${formatClock(endMin)}`;
 }
 
-// All slots are “today” for this board
-function isTodaySlot(_slot) {
-  return true;
+// 75 -> "1 h 15 min"
+function formatDuration(minutes) {
+  const m = Math.max(0, Math.ceil(minutes));
+  if (m < 60) return `${m} min`;
+  const h = Math.floor(m / 60);
+  return m % 60 ? `${h} h ${m % 60} min` : `${h} h`;
 }
 
-function isPickleball(slot) {
-  const title = (slot.title || "").toLowerCase();
-  const sub = (slot.subtitle || "").toLowerCase();
-  return title.includes("pickleball") || sub.includes("pickleball");
+// Local calendar date as "YYYY-MM-DD" (same format as slot.date)
+function todayKey(d = new Date()) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
 }
 
-// Once-per-day cache key (YYYY-MM-DD)
-function getTodayCacheKey() {
-  return new Date().toISOString().slice(0, 10);
+// Slots from transform.mjs carry a date; older files without one are
+// treated as today's
+function isTodaySlot(slot) {
+  return !slot.date || slot.date === todayKey();
 }
 
 // ---------- DOM helpers ----------
@@ -48,14 +75,16 @@ function qs(sel, root = document) {
   return root.querySelector(sel);
 }
 
-function el(tag, cls, html) {
+// Text only, never markup: titles and labels come from the report and from
+// staff overrides
+function el(tag, cls, text) {
   const e = document.createElement(tag);
   if (cls) e.className = cls;
-  if (html != null) e.innerHTML = html;
+  if (text != null) e.textContent = text;
   return e;
 }
 
-// ---------- Scale 1920×1080 canvas to viewport ----------
+// ---------- Scale the stage canvas to viewport ----------
 
 (function fitStageSetup() {
   function fit() {
@@ -63,6 +92,10 @@ function el(tag, cls, html) {
     const stage = qs(".stage");
     if (!vp || !stage) return;
 
+    stage.style.width = STAGE_WIDTH + "px";
+    stage.style.height = STAGE_HEIGHT + "px";
+    stage.classList.toggle("is-portrait", IS_PORTRAIT);
+
     const sx = vp.clientWidth / STAGE_WIDTH;
     const sy = vp.clientHeight / STAGE_HEIGHT;
     const s = Math.min(sx, sy);
@@ -103,20 +136,77 @@ function startHeaderClock() {
   setInterval(tick, 30_000);
 }
 
+// ---------- Stale data notice ----------
+
+// "2025-11-03" -> "Monday, November 3"
+function formatDateKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+/**
+ * Flag the board as stale when events.json has slots but none of them
+ * are for today (e.g. the morning email hasn't been processed yet), or
+ * when fetch_email.js marked it stale because today's report is missing.
+ */
+function updateStaleNotice() {
+  const notice = qs("#staleNotice");
+  if (!notice) return;
+
+  const stale =
+    Boolean(CURRENT_DATA?.stale) ||
+    (ALL_SLOTS.length > 0 && !ALL_SLOTS.some((s) => isTodaySlot(s)));
+
+  if (!stale) {
+    notice.hidden = true;
+    notice.textContent = "";
+    return;
+  }
+
+  const dates = Array.from(
+    new Set(ALL_SLOTS.map((s) => s.date).filter(Boolean))
+  ).sort();
+  const latest = dates[dates.length - 1];
+
+  const latestDay = latest || CURRENT_DATA?.reportDate;
+
+  if (CURRENT_DATA?.stale) {
+    notice.textContent = latestDay
+      ? `Today's report hasn't arrived — showing the schedule from ${formatDateKey(latestDay)}`
+      : "Today's report hasn't arrived — this schedule may be out of date";
+  } else {
+    notice.textContent = latestDay
+      ? `Today's schedule isn't available yet — latest data is for ${formatDateKey(latestDay)}`
+      : "Today's schedule isn't available yet";
+  }
+  notice.hidden = false;
+}
+
 // ---------- Room sets / season ----------
 
-// Turf rooms (JSON IDs) in desired 2×2 layout order:
-// Top row: SA (top-left), NA (top-right)
-// Bottom row: SB (bottom-left), NB (bottom-right)
-const TURF_ROOMS = [
-  { jsonId: "Quarter Turf SA", domId: "SA", label: "Turf SA" }, // top-left
-  { jsonId: "Quarter Turf NA", domId: "NA", label: "Turf NA" }, // top-right
-  { jsonId: "Quarter Turf SB", domId: "SB", label: "Turf SB" }, // bottom-left
-  { jsonId: "Quarter Turf NB", domId: "NB", label: "Turf NB" }, // bottom-right
-];
+// Rooms, clusters and layout order all come from facility-config.mjs
+const ROOMS_BY_ID = new Map(FACILITY_CONFIG.rooms.map((r) => [r.id, r]));
+
+function roomView(id) {
+  const room = ROOMS_BY_ID.get(id) || { id, label: id };
+  return { jsonId: id, domId: room.domId || id, label: room.label };
+}
+
+// The cluster's layout for a season (or the cluster itself when it
+// doesn't change with the season)
+function clusterLayout(cluster, mode) {
+  if (!cluster.seasons) return cluster;
+  return cluster.seasons[mode] || cluster.seasons[FACILITY_CONFIG.season.default];
+}
 
-// Courts (basketball) rooms in fieldhouse
-const COURT_ROOMS = ["3", "4", "5", "6", "7", "8"];
+// The seasonal (Fieldhouse) cluster
+function getSeasonalCluster() {
+  return FACILITY_CONFIG.clusters.find((c) => c.seasons) || null;
+}
 
 /**
  * Decide Turf vs Courts using events.json.season first,
@@ -128,57 +218,111 @@ function getFieldhouseMode(data, slots) {
     return "courts";
 
   const ids = new Set(slots.map((s) => s.roomId));
+  const seasonal = getSeasonalCluster();
 
-  const hasTurf = TURF_ROOMS.some((r) => ids.has(r.jsonId));
-  if (hasTurf) return "turf";
+  // First season whose rooms have any slot wins
+  for (const [mode, layout] of Object.entries(seasonal?.seasons || {})) {
+    if (layout.rooms.some((id) => ids.has(id))) return mode;
+  }
 
-  const hasCourts = COURT_ROOMS.some((id) => ids.has(id));
-  if (hasCourts) return "courts";
+  return FACILITY_CONFIG.season.default;
+}
 
-  return "courts";
+// Clusters this screen shows, in profile order
+function profileClusters() {
+  return PROFILE.clusters.map((id) =>
+    FACILITY_CONFIG.clusters.find((c) => c.id === id)
+  );
 }
 
 /**
- * Build the middle (Fieldhouse) container depending on mode.
+ * Build one panel per profile cluster. The seasonal cluster's rooms are
+ * filled in by switchFieldhouseMode once the season is known.
  */
-function buildFieldhouseContainer(mode) {
-  const holder = qs("#fieldhousePager");
+function buildGrid() {
+  const grid = qs("#grid");
+  if (!grid) return;
+
+  const clusters = profileClusters();
+  grid.innerHTML = "";
+  grid.classList.toggle("is-portrait", IS_PORTRAIT);
+
+  // The seasonal cluster has the most rooms, so it gets the most space
+  const tracks = clusters.map((c) => (c.seasons ? "1.5fr" : "1fr")).join(" ");
+  grid.style.gridTemplateColumns = IS_PORTRAIT ? "1fr" : tracks;
+  grid.style.gridTemplateRows = IS_PORTRAIT ? tracks : "1fr";
+
+  for (const cluster of clusters) {
+    const section = el("section", "group");
+    section.id = `cluster-${cluster.id}`;
+    section.appendChild(el("div", "title")).textContent = cluster.title;
+    const holder = el("div", "rooms");
+    holder.id = `rooms-${cluster.id}`;
+    section.appendChild(holder);
+    grid.appendChild(section);
+
+    if (!cluster.seasons) buildClusterRooms(cluster);
+  }
+}
+
+/**
+ * (Re)build a cluster's room cards in layout order (e.g. SA, NA, SB, NB
+ * for the turf 2×2). `mode` picks the season for the seasonal cluster.
+ */
+function buildClusterRooms(cluster, mode) {
+  const holder = qs(`#rooms-${cluster.id}`);
   if (!holder) return;
 
-  const isTurf = mode === "turf";
+  const layout = clusterLayout(cluster, mode);
 
-  holder.classList.remove("turf-2x2", "courts-3x2");
-  holder.classList.add(isTurf ? "turf-2x2" : "courts-3x2");
+  for (const other of Object.values(cluster.seasons || {})) {
+    holder.classList.remove(other.layout);
+  }
+  holder.classList.add(layout.layout);
   holder.innerHTML = "";
 
-  if (isTurf) {
-    // DOM order: SA, NA, SB, NB (for 2×2 layout)
-    for (const room of TURF_ROOMS) {
-      const div = el("div", "room");
-      div.id = `room-${room.domId}`;
-      div.innerHTML = `
-        <div class="roomHeader">
-          <div class="name">${room.label}</div>
-          <div class="count">0 of 0 reservations</div>
-        </div>
-        <div class="events"></div>
-      `;
-      holder.appendChild(div);
-    }
-  } else {
-    for (const id of COURT_ROOMS) {
-      const room = el("div", "room");
-      room.id = `room-${id}`;
-      room.innerHTML = `
-        <div class="roomHeader">
-          <div class="name">${id}</div>
-          <div class="count">0 of 0 reservations</div>
-        </div>
-        <div class="events"></div>
-      `;
-      holder.appendChild(room);
-    }
+  for (const room of layout.rooms.map(roomView)) {
+    const div = el("div", "room");
+    div.id = `room-${room.domId}`;
+    const header = el("div", "roomHeader");
+    header.append(el("div", "name", room.label), el("div", "count", "0 of 0 reservations"));
+    div.append(header, el("div", "events"));
+    holder.appendChild(div);
+  }
+}
+
+function buildFieldhouseContainer(mode) {
+  const seasonal = getSeasonalCluster();
+  if (seasonal) buildClusterRooms(seasonal, mode);
+}
+
+const SEASON_SWITCH_MS = 400;
+
+/**
+ * Switch the fieldhouse between turf and courts without a reload:
+ * fade the grid out, rebuild it (and, via getClusters, the cluster
+ * rotation) for the new season, then fade back in.
+ */
+function switchFieldhouseMode(mode, animate = true) {
+  const previous = FIELDHOUSE_MODE;
+  FIELDHOUSE_MODE = mode;
+  GLOBAL_TICK = 0;
+
+  const seasonal = getSeasonalCluster();
+  const holder = seasonal && qs(`#rooms-${seasonal.id}`);
+  if (!animate || !holder) {
+    buildFieldhouseContainer(mode);
+    return;
   }
+
+  console.log(`Fieldhouse season changed: ${previous} → ${mode}`);
+  holder.classList.add("is-switching");
+
+  setTimeout(() => {
+    buildFieldhouseContainer(FIELDHOUSE_MODE);
+    globalRotorTick();
+    holder.classList.remove("is-switching");
+  }, SEASON_SWITCH_MS);
 }
 
 // ---------- Data prep ----------
@@ -198,102 +342,39 @@ function groupByRoom(slots) {
   return map;
 }
 
-/**
- * Filter slots for display based on current time:
- * - only today
- * - hide past events (endMin <= now)
- * - hide Open Pickleball after 12:30pm
- */
-function filterForDisplay(slots) {
-  const nowMin = minutesNowLocal();
-  let filtered = slots.filter(
-    (s) =>
-      isTodaySlot(s) &&
-      s.endMin > nowMin // current or future
-  );
-
-  const cutoff = 12 * 60 + 30;
-  if (nowMin > cutoff) {
-    filtered = filtered.filter((s) => !isPickleball(s));
-  }
-
-  return filtered;
-}
-
 // ---------- Rendering helpers ----------
 
 // Build a single event chip for display
-function buildEventChip(slot) {
+// `others` = how many more slots share this room and time block
+function buildEventChip(slot, others = 0) {
   const chip = el("div", "event");
   const title = slot.title || "Reserved";
   const subtitle = slot.subtitle || "";
-  const when = formatRange(slot.startMin, slot.endMin);
-
-  chip.innerHTML = `
-    <div class="title">${title}</div>
-    ${
-      subtitle
-        ? `<div class="subtitle">${subtitle}</div>`
-        : ""
-    }
-    <div class="time">${when}</div>
-  `;
+  const when = `${slot.tomorrow ? "Tomorrow " : ""}${formatRange(slot.startMin, slot.endMin)}`;
+
+  if (slot.conflict || others > 0) chip.classList.add("has-conflict");
+  if (slot.closed) chip.classList.add("is-closed");
+
+  chip.appendChild(el("div", "title", title));
+  if (subtitle) chip.appendChild(el("div", "subtitle", subtitle));
+  chip.appendChild(el("div", "time", when));
+  if (others > 0) chip.appendChild(el("div", "more", `+${others} more booking${others > 1 ? "s" : ""}`));
 
   return chip;
 }
 
 // ---------- Global state ----------
 
-let ALL_SLOTS = [];
-let FIELDHOUSE_MODE = "courts"; // "turf" or "courts"
-let GLOBAL_TICK = 0; // increments every 8s
+let ALL_SLOTS = []; // events.json as published; see boardSlots() for what's shown
+let FIELDHOUSE_MODE = null; // "turf" or "courts" (null until the first load)
+let GLOBAL_TICK = 0; // increments every rotation tick
 
 // Build cluster definitions dynamically (because turf/courts is seasonal)
 function getClusters() {
-  const clusters = [];
-
-  // Cluster 1: 1A,1B,2A,2B
-  clusters.push({
-    name: "cluster-front",
-    rooms: [
-      { jsonId: "1A", domId: "1A" },
-      { jsonId: "1B", domId: "1B" },
-      { jsonId: "2A", domId: "2A" },
-      { jsonId: "2B", domId: "2B" },
-    ],
-  });
-
-  // Cluster 2: Turf (SA/SB/NA/NB) or Courts 3–8 in fieldhouse
-  if (FIELDHOUSE_MODE === "turf") {
-    clusters.push({
-      name: "cluster-turf",
-      rooms: TURF_ROOMS.map((r) => ({
-        jsonId: r.jsonId,
-        domId: r.domId,
-      })),
-    });
-  } else {
-    clusters.push({
-      name: "cluster-courts",
-      rooms: COURT_ROOMS.map((id) => ({
-        jsonId: id,
-        domId: id,
-      })),
-    });
-  }
-
-  // Cluster 3: 9A,9B,10A,10B
-  clusters.push({
-    name: "cluster-back",
-    rooms: [
-      { jsonId: "9A", domId: "9A" },
-      { jsonId: "9B", domId: "9B" },
-      { jsonId: "10A", domId: "10A" },
-      { jsonId: "10B", domId: "10B" },
-    ],
-  });
-
-  return clusters;
+  return profileClusters().map((cluster) => ({
+    name: `cluster-${cluster.id}`,
+    rooms: clusterLayout(cluster, FIELDHOUSE_MODE).rooms.map(roomView),
+  }));
 }
 
 /**
@@ -302,24 +383,29 @@ function getClusters() {
  * - Each block knows which room(s) have a slot in that time window
  */
 function buildTimeBlocksForCluster(cluster, grouped) {
-  const blocksMap = new Map(); // key "start-end" -> { startMin, endMin, byRoom: Map(jsonId -> slot) }
+  const blocksMap = new Map(); // key "start-end" -> { startMin, endMin, byRoom: Map(jsonId -> slot), extra: Map(jsonId -> count) }
 
   for (const room of cluster.rooms) {
     const roomSlots = grouped.get(room.jsonId) || [];
     for (const slot of roomSlots) {
-      const key = `${slot.startMin}-${slot.endMin}`;
+      const key = `${slot.tomorrow ? "tomorrow " : ""}${slot.startMin}-${slot.endMin}`;
       let block = blocksMap.get(key);
       if (!block) {
         block = {
+          tomorrow: !!slot.tomorrow,
           startMin: slot.startMin,
           endMin: slot.endMin,
           byRoom: new Map(),
+          extra: new Map(),
         };
         blocksMap.set(key, block);
       }
-      // If multiple slots with same start/end in same room, keep the first
+      // If multiple slots with same start/end in same room, show the first
+      // and count the rest (transform.mjs lists them under "conflicts")
       if (!block.byRoom.has(room.jsonId)) {
         block.byRoom.set(room.jsonId, slot);
+      } else {
+        block.extra.set(room.jsonId, (block.extra.get(room.jsonId) || 0) + 1);
       }
     }
   }
@@ -327,7 +413,7 @@ function buildTimeBlocksForCluster(cluster, grouped) {
   const blocks = Array.from(blocksMap.values());
   blocks.sort(
     (a, b) =>
-      a.startMin - b.startMin || a.endMin - b.endMin
+      a.tomorrow - b.tomorrow || a.startMin - b.startMin || a.endMin - b.endMin
   );
   return blocks;
 }
@@ -387,7 +473,7 @@ function advanceCluster(cluster, grouped) {
     if (slot) {
       // Room has a reservation in this time block
       countEl.textContent = clusterLabel;
-      const chip = buildEventChip(slot);
+      const chip = buildEventChip(slot, block.extra.get(room.jsonId) || 0);
       eventsEl.innerHTML = "";
       eventsEl.appendChild(chip);
     } else {
@@ -398,78 +484,617 @@ function advanceCluster(cluster, grouped) {
   }
 }
 
+// ---------- Now / next view ----------
+// Instead of cycling through the day's time blocks, each room shows what
+// is on right now (with a progress bar and time left) and what's next
+// (with a countdown), or "Available until …" when it's free.
+
+function minutesBetween(from, to) {
+  return (to.getTime() - from.getTime()) / 60_000;
+}
+
+function buildStatusChip(kind, slot, now) {
+  const chip = buildEventChip(slot);
+  chip.classList.add(`is-${kind}`);
+  chip.prepend(el("div", "label", kind === "now" ? "Now" : "Next"));
+
+  const { start, end } = slotBounds(slot, todayKey(now));
+  if (kind === "now") {
+    const pct = Math.min(100, (100 * minutesBetween(start, now)) / minutesBetween(start, end));
+    const progress = el("div", "progress");
+    progress.appendChild(el("div", "bar")).style.width = `${pct.toFixed(1)}%`;
+    chip.append(progress, el("div", "remaining", `${formatDuration(minutesBetween(now, end))} left`));
+  } else {
+    chip.append(el("div", "countdown", `Starts in ${formatDuration(minutesBetween(now, start))}`));
+  }
+  return chip;
+}
+
+function buildFreeState(status, now) {
+  const free = el("div", "free");
+  free.appendChild(el("div", "state", "Available"));
+
+  let until = "for the rest of the day";
+  if (status.freeUntil) {
+    until = `until ${status.next.tomorrow ? "tomorrow " : ""}${formatClock(status.next.startMin)}`;
+  } else {
+    const close = parseClock(FACILITY_CONFIG.operatingHours.close);
+    if (minutesNowLocal() < close) until = `until close (${formatClock(close)})`;
+  }
+  free.appendChild(el("div", "until", until));
+  return free;
+}
+
+function renderNowNext(cluster, grouped) {
+  const now = new Date();
+
+  for (const room of cluster.rooms) {
+    const card = document.getElementById(`room-${room.domId}`);
+    if (!card) continue;
+
+    const countEl = qs(".roomHeader .count", card);
+    const eventsEl = qs(".events", card);
+    if (!eventsEl || !countEl) continue;
+
+    const roomSlots = grouped.get(room.jsonId) || [];
+    const status = roomStatus(roomSlots, room.jsonId, now);
+    const left = roomSlots.filter((s) => !s.tomorrow).length;
+
+    countEl.textContent = left ? `${left} reservation${left > 1 ? "s" : ""} left today` : "No more reservations today";
+    eventsEl.innerHTML = "";
+
+    eventsEl.appendChild(
+      status.current ? buildStatusChip("now", status.current, now) : buildFreeState(status, now)
+    );
+    if (status.next) eventsEl.appendChild(buildStatusChip("next", status.next, now));
+  }
+}
+
+// ---------- Timeline view ----------
+// Every room in getClusters() order as a row, the day's reservations as
+// bars across operating hours, and a line for "now". The same booking in
+// neighbouring rows of a cluster (e.g. a full-gym rental of 1A–2B) is
+// drawn once, as a bar spanning those rows.
+
+const TIMELINE_OPEN = parseClock(FACILITY_CONFIG.operatingHours.open);
+const TIMELINE_CLOSE = parseClock(FACILITY_CONFIG.operatingHours.close);
+
+// Minutes from midnight -> % across the timeline (clamped to opening hours)
+function timelinePct(minutes) {
+  const m = Math.min(TIMELINE_CLOSE, Math.max(TIMELINE_OPEN, minutes));
+  return (100 * (m - TIMELINE_OPEN)) / (TIMELINE_CLOSE - TIMELINE_OPEN);
+}
+
+const bookingKey = (s) => `${s.startMin}|${s.endMin}|${s.title}|${s.subtitle || ""}`;
+
 /**
- * One global tick every 8 seconds:
+ * Bars for the timeline: { slot, row, span } where rows are indexes into
+ * `rows` ({ cluster, room }) and span is how many rows the bar covers.
+ */
+function buildTimelineBars(rows, grouped) {
+  const used = rows.map(() => new Set()); // bookingKeys already drawn, per row
+  const bars = [];
+
+  rows.forEach(({ cluster, room }, i) => {
+    for (const slot of grouped.get(room.jsonId) || []) {
+      const key = bookingKey(slot);
+      if (used[i].has(key)) continue;
+      used[i].add(key);
+
+      let span = 1;
+      while (
+        rows[i + span]?.cluster === cluster &&
+        !used[i + span].has(key) &&
+        (grouped.get(rows[i + span].room.jsonId) || []).some((s) => bookingKey(s) === key)
+      ) {
+        used[i + span].add(key);
+        span++;
+      }
+      bars.push({ slot, row: i, span });
+    }
+  });
+
+  return bars;
+}
+
+function renderTimeline() {
+  const holder = qs("#timeline");
+  if (!holder) return;
+
+  const clusters = getClusters();
+  const rows = clusters.flatMap((cluster) =>
+    cluster.rooms.map((room) => ({ cluster: cluster.name, room }))
+  );
+  // The whole day, including what's already over
+  const grouped = groupByRoom(boardSlots().filter(isTodaySlot));
+  const nowMin = minutesNowLocal();
+
+  holder.innerHTML = "";
+  // Row 1 is the hour scale; room rows start at grid row 2
+  holder.style.gridTemplateRows = `32px repeat(${rows.length}, 1fr)`;
+
+  const scale = el("div", "timeline-hours");
+  for (let h = Math.ceil(TIMELINE_OPEN / 60); h * 60 <= TIMELINE_CLOSE; h++) {
+    const tick = el("div", "hour", formatClock(h * 60).replace(":00", ""));
+    tick.style.left = `${timelinePct(h * 60)}%`;
+    scale.appendChild(tick);
+  }
+  holder.appendChild(scale);
+
+  rows.forEach(({ cluster, room }, i) => {
+    const label = el("div", "timeline-room", room.label);
+    label.style.gridRow = String(i + 2);
+    if (i > 0 && rows[i - 1].cluster !== cluster) label.classList.add("cluster-start");
+    holder.appendChild(label);
+
+    const lane = el("div", "timeline-lane");
+    lane.style.gridRow = String(i + 2);
+    if (label.classList.contains("cluster-start")) lane.classList.add("cluster-start");
+    holder.appendChild(lane);
+  });
+
+  // Hour lines and the "now" line sit over every lane
+  const overlay = el("div", "timeline-overlay");
+  overlay.style.gridRow = `2 / ${rows.length + 2}`;
+  for (const tick of scale.children) {
+    overlay.appendChild(el("div", "gridline")).style.left = tick.style.left;
+  }
+  if (nowMin >= TIMELINE_OPEN && nowMin <= TIMELINE_CLOSE) {
+    overlay.appendChild(el("div", "now-line")).style.left = `${timelinePct(nowMin)}%`;
+  }
+  holder.appendChild(overlay);
+
+  for (const { slot, row, span } of buildTimelineBars(rows, grouped)) {
+    const left = timelinePct(slot.startMin);
+    const width = timelinePct(slot.endMin) - left;
+    if (width <= 0) continue; // entirely outside opening hours
+
+    const bar = el("div", "timeline-bar");
+    if (slot.conflict) bar.classList.add("has-conflict");
+    if (slot.closed) bar.classList.add("is-closed");
+    if (slot.endMin <= nowMin) bar.classList.add("is-past");
+    if (slot.startMin <= nowMin && nowMin < slot.endMin) bar.classList.add("is-now");
+    bar.style.gridRow = `${row + 2} / span ${span}`;
+    bar.style.marginLeft = `${left}%`;
+    bar.style.width = `${width}%`;
+    bar.title = `${slot.title} · ${formatRange(slot.startMin, slot.endMin)}`;
+    bar.appendChild(el("div", "title")).textContent = slot.title || "Reserved";
+    bar.appendChild(el("div", "time", formatRange(slot.startMin, slot.endMin)));
+    holder.appendChild(bar);
+  }
+}
+
+// ---------- View switching ----------
+// A profile can list several views; they take turns every viewSeconds.
+
+let VIEW_INDEX = 0;
+
+function activeView() {
+  return PROFILE.views[VIEW_INDEX % PROFILE.views.length];
+}
+
+function showActiveView() {
+  const timeline = activeView() === "timeline";
+  const grid = qs("#grid");
+  const holder = qs("#timeline");
+  if (grid) grid.hidden = timeline;
+  if (holder) holder.hidden = !timeline;
+}
+
+function nextView() {
+  VIEW_INDEX++;
+  GLOBAL_TICK = 0;
+  showActiveView();
+  globalRotorTick();
+}
+
+/**
+ * One global tick every PROFILE.rotateSeconds (8s on the lobby board):
  * - recompute filtered slots
  * - group by room
- * - advance each cluster by time-block
+ * - advance each cluster by time-block (or redraw now / next, or the timeline)
  */
 function globalRotorTick() {
-  if (!ALL_SLOTS.length) return;
+  updateStaleNotice();
+  updateDataAge();
+  updateAnnouncements();
+  if (!ALL_SLOTS.length && !OVERRIDES.overrides.length) return;
+
+  const view = activeView();
+  if (view === "timeline") {
+    renderTimeline();
+    GLOBAL_TICK++;
+    return;
+  }
 
-  const displaySlots = filterForDisplay(ALL_SLOTS);
+  // What's over, hidden by a rule, or (after close) tomorrow's: visibility.mjs
+  const displaySlots = visibleSlots(boardSlots(), VISIBILITY);
   const grouped = groupByRoom(displaySlots);
   const clusters = getClusters();
 
   for (const cluster of clusters) {
-    advanceCluster(cluster, grouped);
+    // The room cards are shared by both views; only now-next stacks its chips
+    for (const room of cluster.rooms) {
+      const eventsEl = document.querySelector(`#room-${room.domId} .events`);
+      if (eventsEl) eventsEl.classList.toggle("now-next", view === "now-next");
+    }
+
+    if (view === "now-next") renderNowNext(cluster, grouped);
+    else advanceCluster(cluster, grouped);
   }
 
   GLOBAL_TICK++;
 }
 
 // ---------- events.json refresh ----------
+// When the board is served by scripts/server.mjs, a new events.json (or
+// overrides.json) is announced over Server-Sent Events (/api/stream) and
+// applied right away.
+// Without the stream (static hosting, or the server went away) the board
+// polls with If-None-Match / If-Modified-Since, so an unchanged file only
+// costs a 304.
+
+const POLL_INTERVAL_MS = 60_000;
+const PUSH_RETRY_MS = 5 * 60_000;
+
+let EVENTS_VALIDATORS = { etag: null, lastModified: null };
+let POLL_TIMER = null;
+
+// Resolves to { data, offline }: the parsed events.json (null when unchanged,
+// 304), and whether sw.js served it from its cache because the network failed
+async function fetchEventsJson() {
+  const headers = {};
+  if (EVENTS_VALIDATORS.etag) {
+    headers["If-None-Match"] = EVENTS_VALIDATORS.etag;
+  } else if (EVENTS_VALIDATORS.lastModified) {
+    headers["If-Modified-Since"] = EVENTS_VALIDATORS.lastModified;
+  }
+
+  const res = await fetch("./events.json", { cache: "no-store", headers });
+  if (res.status === 304) return { data: null, offline: false };
+  if (!res.ok) throw new Error(`events.json: HTTP ${res.status}`);
+
+  const data = await res.json();
+  EVENTS_VALIDATORS = {
+    etag: res.headers.get("ETag"),
+    lastModified: res.headers.get("Last-Modified"),
+  };
+  // sw.js answers from its cache when the network is down
+  return { data, offline: res.headers.get("X-Board-Cache") === "offline" };
+}
+
+// ---------- Last-known-good data ----------
+// The last events.json that passed the schema check is kept in localStorage
+// so a board that boots offline (or gets a bad payload) keeps showing the
+// schedule. sw.js does the same for the page and its assets.
+
+const LAST_GOOD_KEY = "raec-board:last-good-events";
+const STALE_AFTER_MS = 18 * 60 * 60 * 1000; // a day's build is good until evening
+
+let CURRENT_DATA = null;
+let LAST_REFRESH_FAILED = false;
+
+let DATA_ERROR = null; // why the latest events.json was refused, for #dataError
+
+// events.json migrated to the current schema and validated, or null
+function readEventsPayload(data) {
+  try {
+    const events = readEvents(data);
+    DATA_ERROR = null;
+    return events;
+  } catch (err) {
+    DATA_ERROR = err.message;
+    console.warn("Refusing events.json:", err.message);
+    return null;
+  }
+}
+
+// Never trade a schedule with slots for an empty one, unless the empty
+// one is for a later day (e.g. the facility is closed)
+function shouldReplace(current, next) {
+  if (!current || next.slots.length || !current.slots.length) return true;
+  return Boolean(
+    next.reportDate && current.reportDate && next.reportDate > current.reportDate
+  );
+}
+
+function saveLastGood(data) {
+  try {
+    localStorage.setItem(
+      LAST_GOOD_KEY,
+      JSON.stringify({ savedAt: new Date().toISOString(), data })
+    );
+  } catch (err) {
+    console.warn("Could not cache events.json:", err);
+  }
+}
+
+function loadLastGood() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LAST_GOOD_KEY));
+    return saved?.data ? readEvents(saved.data) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Make `raw` (events.json as fetched) the board's schedule if it passes
+ * the schema. Returns false (and keeps the current schedule) otherwise.
+ */
+function applyEventsData(raw, { persist = true } = {}) {
+  const data = readEventsPayload(raw);
+  updateDataError();
+  if (!data) return false;
+  if (!shouldReplace(CURRENT_DATA, data)) {
+    console.warn("Ignoring empty events.json; keeping the last good schedule");
+    return false;
+  }
+
+  CURRENT_DATA = data;
+  ALL_SLOTS = data.slots;
+  if (persist) saveLastGood(data);
+
+  const mode = getFieldhouseMode(data, ALL_SLOTS);
+  if (mode !== FIELDHOUSE_MODE) {
+    switchFieldhouseMode(mode, FIELDHOUSE_MODE !== null);
+  }
+  return true;
+}
+
+// Banner for a schedule that couldn't be loaded or read. With a last good
+// schedule on screen it's a small notice; with nothing to show it says so.
+function updateDataError() {
+  const banner = qs("#dataError");
+  if (!banner) return;
+
+  if (!DATA_ERROR) {
+    banner.hidden = true;
+    return;
+  }
+
+  const [headline, ...details] = DATA_ERROR.split("\n");
+  banner.classList.toggle("is-blocking", !CURRENT_DATA);
+  banner.textContent = "";
+
+  const title = document.createElement("div");
+  title.className = "title";
+  title.textContent = CURRENT_DATA
+    ? "Latest schedule could not be read — showing the last good one"
+    : "Schedule unavailable";
+  const detail = document.createElement("div");
+  detail.className = "detail";
+  detail.textContent = [headline, ...details.slice(0, 3)].join("\n");
+
+  banner.append(title, detail);
+  banner.hidden = false;
+}
+
+// "Data as of 7:32 AM" when we're offline or the data is from an earlier day/build
+function updateDataAge() {
+  const badge = qs("#dataAge");
+  if (!badge) return;
+
+  const stamp = CURRENT_DATA?.generatedAt ? new Date(CURRENT_DATA.generatedAt) : null;
+  const old =
+    stamp && !Number.isNaN(stamp.getTime()) &&
+    (todayKey(stamp) !== todayKey() || Date.now() - stamp.getTime() > STALE_AFTER_MS);
+
+  if (!CURRENT_DATA || (!LAST_REFRESH_FAILED && !old)) {
+    badge.hidden = true;
+    return;
+  }
+
+  let text = "Offline — showing saved schedule";
+  if (stamp && !Number.isNaN(stamp.getTime())) {
+    const time = stamp.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+    text =
+      todayKey(stamp) === todayKey()
+        ? `Data as of ${time}`
+        : `Data as of ${stamp.toLocaleDateString(undefined, { weekday: "short" })} ${time}`;
+  }
+  badge.textContent = text;
+  badge.hidden = false;
+}
 
 async function refreshEventsJson() {
   try {
-    const cb = getTodayCacheKey();
-    const res = await fetch(`./events.json?cb=${cb}`, {
-      cache: "no-store",
-    });
-    const data = await res.json();
+    const { data, offline } = await fetchEventsJson();
+    LAST_REFRESH_FAILED = offline;
+    if (!data) return; // unchanged
+
+    if (applyEventsData(data)) {
+      globalRotorTick();
+      console.log("events.json refreshed:", {
+        season: CURRENT_DATA.season,
+        dates: CURRENT_DATA.dates,
+        mode: FIELDHOUSE_MODE,
+        totalSlots: ALL_SLOTS.length,
+      });
+    }
+  } catch (err) {
+    LAST_REFRESH_FAILED = true;
+    console.error("Failed to refresh events.json:", err);
+  } finally {
+    updateDataAge();
+  }
+}
+
+function refreshAll() {
+  refreshEventsJson();
+  refreshOverrides();
+}
+
+function startPolling() {
+  if (!POLL_TIMER) POLL_TIMER = setInterval(refreshAll, POLL_INTERVAL_MS);
+}
+
+function stopPolling() {
+  clearInterval(POLL_TIMER);
+  POLL_TIMER = null;
+}
+
+function connectPush() {
+  if (!("EventSource" in window)) {
+    startPolling();
+    return;
+  }
+
+  const source = new EventSource("./api/stream");
+
+  source.addEventListener("open", () => {
+    stopPolling();
+    refreshAll(); // catch up on anything missed while disconnected
+  });
 
-    ALL_SLOTS = Array.isArray(data?.slots) ? data.slots : [];
+  source.addEventListener("events", () => refreshEventsJson());
+  source.addEventListener("overrides", () => refreshOverrides());
 
-    console.log("events.json refreshed:", {
-      season: data.season,
-      totalSlots: ALL_SLOTS.length,
+  source.addEventListener("error", () => {
+    startPolling();
+    // EventSource reconnects on its own unless the server refused the
+    // stream (e.g. static hosting answers 404); then try again later.
+    if (source.readyState === EventSource.CLOSED) {
+      source.close();
+      setTimeout(connectPush, PUSH_RETRY_MS);
+    }
+  });
+}
+
+// ---------- Overrides and announcements ----------
+// overrides.json is staff's layer over the RecTrac feed (hide, rename, add
+// or block out slots; announcements), edited on admin.html. It's applied
+// here at display time, so a change shows up without a new events.json.
+// A missing file means no overrides; an invalid one is ignored.
+
+let OVERRIDES = { overrides: [], announcements: [] };
+let OVERRIDES_VALIDATORS = { etag: null, lastModified: null };
+
+// What the board shows: events.json slots with the overrides applied
+function boardSlots(now = new Date()) {
+  return applyOverrides(ALL_SLOTS, OVERRIDES.overrides, now);
+}
+
+// Resolves to true when the overrides changed
+async function loadOverrides() {
+  const headers = {};
+  if (OVERRIDES_VALIDATORS.etag) headers["If-None-Match"] = OVERRIDES_VALIDATORS.etag;
+  else if (OVERRIDES_VALIDATORS.lastModified) headers["If-Modified-Since"] = OVERRIDES_VALIDATORS.lastModified;
+
+  try {
+    const res = await fetch("./overrides.json", { cache: "no-store", headers });
+    if (res.status === 304) return false;
+    if (res.status === 404) {
+      const had = OVERRIDES.overrides.length + OVERRIDES.announcements.length > 0;
+      OVERRIDES = { overrides: [], announcements: [] };
+      return had;
+    }
+    if (!res.ok) throw new Error(`overrides.json: HTTP ${res.status}`);
+
+    const data = await res.json();
+    const problems = validateOverrides(data);
+    if (problems.length) {
+      console.warn("Ignoring invalid overrides.json:", problems);
+      return false;
+    }
+    OVERRIDES = { overrides: data.overrides || [], announcements: data.announcements || [] };
+    OVERRIDES_VALIDATORS = {
+      etag: res.headers.get("ETag"),
+      lastModified: res.headers.get("Last-Modified"),
+    };
+    console.log("overrides.json loaded:", {
+      overrides: OVERRIDES.overrides.length,
+      announcements: OVERRIDES.announcements.length,
     });
+    return true;
   } catch (err) {
-    console.error("Failed to refresh events.json:", err);
+    // Keep the overrides we have; the next refresh tries again
+    console.error("Failed to load overrides.json:", err);
+    return false;
   }
 }
 
+async function refreshOverrides() {
+  if (await loadOverrides()) globalRotorTick();
+}
+
+// One announcement at a time, taking turns with each rotation tick
+function updateAnnouncements() {
+  const banner = qs("#announcements");
+  if (!banner) return;
+
+  const active = activeAnnouncements(OVERRIDES.announcements);
+  if (!active.length) {
+    banner.hidden = true;
+    return;
+  }
+
+  const current = active[GLOBAL_TICK % active.length];
+  banner.classList.toggle("is-warning", current.level === "warning");
+  banner.textContent = current.text;
+  banner.hidden = false;
+}
+
 // ---------- Boot ----------
 
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !location.protocol.startsWith("http")) return;
+  navigator.serviceWorker.register("./sw.js").catch((err) => {
+    console.warn("Service worker registration failed:", err);
+  });
+}
+
 async function boot() {
+  console.log(`Display profile: ${PROFILE.name}`, PROFILE);
+  buildGrid();
+  showActiveView();
   startHeaderClock();
+  registerServiceWorker();
 
-  const cb = getTodayCacheKey();
-  const res = await fetch(`./events.json?cb=${cb}`, {
-    cache: "no-store",
-  });
-  const data = await res.json();
+  // Also builds the fieldhouse grid for the current season.
+  // Falls back to the last good schedule if the network or payload fails.
+  let loaded = false;
+  try {
+    const { data, offline } = await fetchEventsJson();
+    loaded = applyEventsData(data);
+    if (offline) LAST_REFRESH_FAILED = true;
+  } catch (err) {
+    DATA_ERROR = `Could not load events.json: ${err.message}`;
+    console.error("Failed to load events.json:", err);
+  }
 
-  ALL_SLOTS = Array.isArray(data?.slots) ? data.slots : [];
-  FIELDHOUSE_MODE = getFieldhouseMode(data, ALL_SLOTS);
+  if (!loaded) {
+    LAST_REFRESH_FAILED = true;
+    const error = DATA_ERROR;
+    const lastGood = loadLastGood();
+    if (lastGood && applyEventsData(lastGood, { persist: false })) {
+      console.log("Showing last good events.json from local cache");
+    } else {
+      // Nothing to show yet; refreshes keep trying
+      switchFieldhouseMode(FACILITY_CONFIG.season.default, false);
+    }
+    DATA_ERROR = error;
+    updateDataError();
+  }
 
   console.log("events.json loaded:", {
-    season: data.season,
+    season: CURRENT_DATA?.season,
+    dates: CURRENT_DATA?.dates,
     mode: FIELDHOUSE_MODE,
     totalSlots: ALL_SLOTS.length,
   });
 
-  // Build fieldhouse DOM once based on season
-  buildFieldhouseContainer(FIELDHOUSE_MODE);
+  await loadOverrides();
 
   // Initial tick so the board isn't empty
   globalRotorTick();
 
-  // Rotate globally every 8 seconds
-  setInterval(globalRotorTick, 8000);
+  // Rotate globally at the profile's pace
+  setInterval(globalRotorTick, PROFILE.rotateSeconds * 1000);
+  if (PROFILE.views.length > 1) setInterval(nextView, PROFILE.viewSeconds * 1000);
 
-  // Refresh events.json every minute so new bookings appear
-  setInterval(refreshEventsJson, 60_000);
+  // Pick up new events.json as soon as it's published
+  connectPush();
 }
 
 boot().catch((err) => {
@@ -77,5 +77,8 @@ function render(data) {
 }
 
 load().catch(err => {
-  app.innerHTML = `<pre style="color:#b91c1c;background:#fee2e2;padding:12px;border-radius:8px;overflow:auto">Failed to load board:\n${err?.stack || err}</pre>`;
+  const pre = document.createElement('pre');
+  pre.style.cssText = 'color:#b91c1c;background:#fee2e2;padding:12px;border-radius:8px;overflow:auto';
+  pre.textContent = `Failed to load board:\n${err?.stack || err}`;
+  app.replaceChildren(pre);
 });
@@ -0,0 +1,119 @@
+// display-profiles.mjs
+// What each screen shows. Every TV loads the same index.html and picks a
+// profile from the query string:
+//
+//   index.html                          the default profile ("lobby")
+//   index.html?profile=north-gym-door   a named profile below
+//
+// Any profile setting can be overridden for one screen:
+//
+//   ?clusters=north,south   cluster ids from facility-config.mjs, in display order
+//   ?view=now-next          "rotate" (cycle through the day's time blocks),
+//                           "now-next" (what's on now, with progress, and what's next)
+//                           or "timeline" (the whole day, every room, as bars);
+//                           several ("rotate,timeline") take turns
+//   ?viewSeconds=60         how long each view stays up when they take turns
+//   ?rotate=12              seconds between rotation ticks
+//   ?scale=1.5              size of everything (type, cards) relative to the lobby board
+//   ?orientation=portrait   "landscape" (1920×1080) or "portrait" (1080×1920)
+//
+// e.g. index.html?profile=portrait&clusters=fieldhouse&rotate=10
+//
+// resolveProfile() hands app.js the chosen views as `views` (always a list).
+//
+// A profile can also set `visibility` (which slots show when: rules, grace
+// minutes after an event ends, tomorrow's first bookings after close) to
+// override the defaults in visibility.mjs, e.g.
+//
+//   visibility: { graceMinutes: 10, tomorrowAfterClose: { enabled: true } }
+
+export const DEFAULT_PROFILE = "lobby";
+
+export const DISPLAY_PROFILES = {
+  // Main lobby TV: the whole building
+  lobby: {
+    clusters: ["south", "fieldhouse", "north"],
+    view: "rotate",
+    rotateSeconds: 8,
+    scale: 1,
+    orientation: "landscape",
+  },
+
+  // Screen by the North Gym doors: just 9A–10B, readable from across the hall,
+  // answering "what's in 9A right now?"
+  "north-gym-door": {
+    clusters: ["north"],
+    view: "now-next",
+    rotateSeconds: 8,
+    scale: 1.6,
+    orientation: "landscape",
+  },
+
+  // Staff office / second lobby screen: the whole day at a glance
+  timeline: {
+    clusters: ["south", "fieldhouse", "north"],
+    view: "timeline",
+    rotateSeconds: 30,
+    scale: 1,
+    orientation: "landscape",
+  },
+
+  // Vertical screens: clusters stacked top to bottom
+  portrait: {
+    clusters: ["south", "fieldhouse", "north"],
+    view: "rotate",
+    rotateSeconds: 10,
+    scale: 1,
+    orientation: "portrait",
+  },
+};
+
+const ORIENTATIONS = ["landscape", "portrait"];
+const VIEWS = ["rotate", "now-next", "timeline"];
+
+/**
+ * The profile for a query string ("?profile=…&rotate=…"), with any
+ * overrides applied. Unknown profile names and bad values fall back to
+ * the default (with a warning) so a typo never leaves a TV blank.
+ *
+ * `clusterIds` are the clusters that exist (facility-config.mjs).
+ */
+export function resolveProfile(search, clusterIds, profiles = DISPLAY_PROFILES) {
+  const params = new URLSearchParams(search);
+
+  let name = params.get("profile") || DEFAULT_PROFILE;
+  if (!profiles[name]) {
+    console.warn(`Unknown display profile "${name}"; using "${DEFAULT_PROFILE}"`);
+    name = DEFAULT_PROFILE;
+  }
+  const profile = { name, ...profiles[name] };
+
+  if (params.has("clusters")) {
+    profile.clusters = params.get("clusters").split(",").map((s) => s.trim()).filter(Boolean);
+  }
+  const known = profile.clusters.filter((id) => clusterIds.includes(id));
+  if (known.length !== profile.clusters.length) {
+    console.warn(`Ignoring unknown cluster(s): ${profile.clusters.filter((id) => !known.includes(id)).join(", ")}`);
+  }
+  profile.clusters = known.length ? known : clusterIds.slice();
+
+  const views = params.has("view") ? params.get("view").split(",") : [].concat(profile.view);
+  profile.views = views.map((v) => v.trim()).filter((v) => VIEWS.includes(v));
+  if (!profile.views.length) profile.views = ["rotate"];
+  delete profile.view;
+
+  const viewSeconds = Number(params.get("viewSeconds"));
+  if (params.has("viewSeconds") && viewSeconds >= 5) profile.viewSeconds = viewSeconds;
+  profile.viewSeconds ??= 60;
+
+  const rotate = Number(params.get("rotate"));
+  if (params.has("rotate") && rotate >= 1) profile.rotateSeconds = rotate;
+
+  const scale = Number(params.get("scale"));
+  if (params.has("scale") && scale >= 0.25 && scale <= 4) profile.scale = scale;
+
+  const orientation = params.get("orientation");
+  if (ORIENTATIONS.includes(orientation)) profile.orientation = orientation;
+
+  return profile;
+}
@@ -0,0 +1,228 @@
+// events-schema.mjs
+// The events.json format, versioned. scripts/transform.mjs checks its
+// output against it before writing; the board checks what it loads.
+// Plain ES module with no Node or DOM dependencies (like schedule.mjs).
+//
+// Version 2 (current):
+//   {
+//     schemaVersion: 2,
+//     generatedAt:   ISO timestamp,
+//     timezone:      IANA zone the minutes are local to ("America/Chicago"),
+//     source:        where the data came from, or null
+//                    { type: "email" | "folder" | "url" | "upload" | "file" | "board.js",
+//                      file?, receivedAt?, reportDateFrom?, …details from the
+//                      source (email: mailbox, uid, from, subject; url: url; …) },
+//     season:        "turf" | "courts" | null (null = infer from the rooms used),
+//     reportDate:    "YYYY-MM-DD",
+//     dates:         ["YYYY-MM-DD", …],
+//     slots:         [{ roomId, date, startMin, endMin, title, subtitle, reservation?, conflict? }],
+//     conflicts:     [ … ]   (see detectConflicts in scripts/transform.mjs)
+//     stale:         optional; set by scripts/fetch_email.js when today's report
+//                    is missing or late: { reason, detectedAt: ISO timestamp }
+//   }
+//
+// Older shapes migrateEvents() understands:
+//   1         transform.mjs before versioning: { season, slots, … }, no schemaVersion
+//   board.js  the original board: { rooms, events: [{ room, start, end, title }], tz, generatedAt }
+
+export const SCHEMA_VERSION = 2;
+
+const DEFAULT_TIMEZONE = "America/Chicago";
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+const isDateKey = (v) => typeof v === "string" && DATE_KEY.test(v);
+const isMinute = (v) => Number.isInteger(v) && v >= 0 && v <= 1440;
+
+// ---------- Validation ----------
+
+// Returns a list of problems (empty when `data` is valid current-version events.json)
+export function validateEvents(data) {
+  const problems = [];
+
+  if (data == null || typeof data !== "object" || Array.isArray(data)) {
+    return ["events.json must be an object"];
+  }
+
+  if (data.schemaVersion !== SCHEMA_VERSION) {
+    problems.push(`schemaVersion: expected ${SCHEMA_VERSION}, got ${JSON.stringify(data.schemaVersion)}`);
+  }
+  if (!isNonEmptyString(data.generatedAt) || Number.isNaN(new Date(data.generatedAt).getTime())) {
+    problems.push("generatedAt: must be an ISO timestamp");
+  }
+  if (!isNonEmptyString(data.timezone)) {
+    problems.push("timezone: must be an IANA time zone name");
+  }
+  if (data.source != null && (typeof data.source !== "object" || !isNonEmptyString(data.source.type))) {
+    problems.push("source: must be null or an object with a type");
+  }
+  if (data.season != null && !isNonEmptyString(data.season)) {
+    problems.push("season: must be a string or null");
+  }
+  if (!isDateKey(data.reportDate)) {
+    problems.push('reportDate: must be "YYYY-MM-DD"');
+  }
+  if (!Array.isArray(data.dates) || !data.dates.every(isDateKey)) {
+    problems.push('dates: must be an array of "YYYY-MM-DD"');
+  }
+  if (data.conflicts != null && !Array.isArray(data.conflicts)) {
+    problems.push("conflicts: must be an array");
+  }
+  if (
+    data.stale != null &&
+    (typeof data.stale !== "object" || !isNonEmptyString(data.stale.reason) || !isNonEmptyString(data.stale.detectedAt))
+  ) {
+    problems.push("stale: must be omitted or { reason, detectedAt }");
+  }
+
+  if (!Array.isArray(data.slots)) {
+    problems.push("slots: must be an array");
+    return problems;
+  }
+
+  data.slots.forEach((slot, i) => {
+    const where = `slots[${i}]`;
+    if (slot == null || typeof slot !== "object") {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(slot.roomId)) problems.push(`${where}: roomId must be a non-empty string`);
+    if (!isDateKey(slot.date)) problems.push(`${where}: date must be "YYYY-MM-DD"`);
+    if (!isMinute(slot.startMin) || !isMinute(slot.endMin)) {
+      problems.push(`${where}: startMin/endMin must be whole minutes between 0 and 1440`);
+    } else if (slot.endMin <= slot.startMin) {
+      problems.push(`${where}: endMin must be after startMin`);
+    }
+    if (typeof slot.title !== "string") problems.push(`${where}: title must be a string`);
+    if (slot.subtitle != null && typeof slot.subtitle !== "string") {
+      problems.push(`${where}: subtitle must be a string`);
+    }
+    if (slot.reservation != null && !isNonEmptyString(slot.reservation)) {
+      problems.push(`${where}: reservation must be a non-empty string`);
+    }
+    if (slot.conflict != null && typeof slot.conflict !== "boolean") {
+      problems.push(`${where}: conflict must be a boolean`);
+    }
+  });
+
+  return problems;
+}
+
+export function assertValidEvents(data) {
+  const problems = validateEvents(data);
+  if (problems.length) {
+    // Long schedules can fail on every slot; the first few are enough
+    const shown = problems.slice(0, 10).map((p) => `  - ${p}`);
+    if (problems.length > shown.length) shown.push(`  … and ${problems.length - shown.length} more`);
+    throw new Error(`events.json is invalid:\n${shown.join("\n")}`);
+  }
+  return data;
+}
+
+// ---------- Migration ----------
+
+// "2025-11-03T19:30:00Z" -> { date: "2025-11-03", minutes: 870 } in `timeZone`
+function zonedParts(iso, timeZone) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return null;
+
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  for (const { type, value } of fmt.formatToParts(d)) parts[type] = value;
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function fromBoardJs(data) {
+  const timezone = isNonEmptyString(data.tz) ? data.tz : DEFAULT_TIMEZONE;
+  const slots = [];
+
+  for (const ev of data.events || []) {
+    const start = zonedParts(ev?.start, timezone);
+    const end = zonedParts(ev?.end, timezone);
+    if (!isNonEmptyString(ev?.room) || !start || !end) continue;
+
+    // The slot model is per day; anything past midnight is cut at 24:00
+    const endMin = end.date === start.date ? end.minutes : 1440;
+    if (endMin <= start.minutes) continue;
+
+    slots.push({
+      roomId: ev.room,
+      date: start.date,
+      startMin: start.minutes,
+      endMin,
+      title: ev.title || "Reserved",
+      subtitle: ev.subtitle || "",
+    });
+  }
+
+  const dates = Array.from(new Set(slots.map((s) => s.date))).sort();
+  const generatedAt = data.generatedAt || new Date().toISOString();
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt,
+    timezone,
+    source: { type: "board.js" },
+    season: null,
+    reportDate: dates[0] || zonedParts(generatedAt, timezone)?.date,
+    dates,
+    slots,
+    conflicts: [],
+  };
+}
+
+function fromVersion1(data) {
+  const generatedAt = data.generatedAt || new Date().toISOString();
+  // Slots from before dated reports are for the day the file was made
+  const made = zonedParts(generatedAt, DEFAULT_TIMEZONE)?.date;
+  const slots = data.slots.map((s) => ({ ...s, date: s.date || data.reportDate || made }));
+  const dates = data.dates || Array.from(new Set(slots.map((s) => s.date))).sort();
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt,
+    timezone: DEFAULT_TIMEZONE,
+    source: null,
+    season: data.season ?? null,
+    reportDate: data.reportDate || dates[0] || made,
+    dates,
+    slots,
+    conflicts: data.conflicts || [],
+  };
+}
+
+/**
+ * Bring any known events.json shape up to SCHEMA_VERSION.
+ * Current-version data is returned as is; unknown shapes or versions throw.
+ */
+export function migrateEvents(data) {
+  if (data == null || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("events.json must be an object");
+  }
+  if (data.schemaVersion === SCHEMA_VERSION) return data;
+  if (data.schemaVersion != null) {
+    throw new Error(
+      `events.json schemaVersion ${data.schemaVersion} is not supported (this board reads ${SCHEMA_VERSION})`
+    );
+  }
+  if (Array.isArray(data.events)) return fromBoardJs(data);
+  if (Array.isArray(data.slots)) return fromVersion1(data);
+  throw new Error("events.json is not in a known format (no slots or events)");
+}
+
+// Migrate, then validate: what readers of events.json should call
+export function readEvents(data) {
+  return assertValidEvents(migrateEvents(data));
+}
@@ -0,0 +1,234 @@
+// facility-config.mjs
+// The one place that describes the building:
+//  - which RecTrac facilities make up each board room
+//  - how rooms are grouped into clusters and laid out on the board
+//  - how the turf/courts season is detected
+//
+// Loaded by scripts/transform.mjs (validated at build time) and by app.js.
+// Adding a court or following a RecTrac facility rename should only ever
+// mean editing this file.
+
+export const FACILITY_CONFIG = {
+  // ---------- Season ----------
+  // If ANY row's "Reservation Purpose" matches a turf marker (case-insensitive)
+  // the season is "turf", otherwise it is the default.
+  season: {
+    default: "courts",
+    turfMarkers: ["Turf Season per NM", "No courts; turf installed"],
+  },
+
+  // ---------- Hours ----------
+  // Normal opening hours (24h "HH:MM"); utilization is measured against these
+  // and the board's timeline view spans them.
+  operatingHours: { open: "06:00", close: "23:00" },
+
+  // ---------- Rooms ----------
+  // id:         roomId written to events.json
+  // label:      name shown in the room header
+  // domId:      suffix of the room card's element id (defaults to id)
+  // facilities: ALL of these must be booked together (same reservee,
+  //             purpose and time) for a reservation to count as this room
+  rooms: [
+    // South Gym: 1A, 1B, 2A, 2B
+    // Championship Court is OPTIONAL; we only require
+    // Full Gym 1AB & 2AB + Court 1-AB/2-AB + the half court.
+    {
+      id: "1A",
+      label: "1A",
+      facilities: [
+        "AC Gym - Full Gym 1AB & 2AB",
+        "AC Gym - Court 1-AB",
+        "AC Gym - Half Court 1A",
+      ],
+    },
+    {
+      id: "1B",
+      label: "1B",
+      facilities: [
+        "AC Gym - Full Gym 1AB & 2AB",
+        "AC Gym - Court 1-AB",
+        "AC Gym - Half Court 1B",
+      ],
+    },
+    {
+      id: "2A",
+      label: "2A",
+      facilities: [
+        "AC Gym - Full Gym 1AB & 2AB",
+        "AC Gym - Court 2-AB",
+        "AC Gym - Half Court 2A",
+      ],
+    },
+    {
+      id: "2B",
+      label: "2B",
+      facilities: [
+        "AC Gym - Full Gym 1AB & 2AB",
+        "AC Gym - Court 2-AB",
+        "AC Gym - Half Court 2B",
+      ],
+    },
+
+    // Fieldhouse courts: 3–8 (courts season)
+    { id: "3", label: "3", facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 3"] },
+    { id: "4", label: "4", facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 4"] },
+    { id: "5", label: "5", facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 5"] },
+    { id: "6", label: "6", facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 6"] },
+    { id: "7", label: "7", facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 7"] },
+    { id: "8", label: "8", facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 8"] },
+
+    // Fieldhouse turf quarters: NA / NB / SA / SB (turf season)
+    {
+      id: "Quarter Turf NA",
+      domId: "NA",
+      label: "Turf NA",
+      facilities: [
+        "AC Fieldhouse - Full Turf",
+        "AC Fieldhouse - Half Turf North",
+        "AC Fieldhouse - Quarter Turf NA",
+      ],
+    },
+    {
+      id: "Quarter Turf NB",
+      domId: "NB",
+      label: "Turf NB",
+      facilities: [
+        "AC Fieldhouse - Full Turf",
+        "AC Fieldhouse - Half Turf North",
+        "AC Fieldhouse - Quarter Turf NB",
+      ],
+    },
+    {
+      id: "Quarter Turf SA",
+      domId: "SA",
+      label: "Turf SA",
+      facilities: [
+        "AC Fieldhouse - Full Turf",
+        "AC Fieldhouse - Half Turf South",
+        "AC Fieldhouse - Quarter Turf SA",
+      ],
+    },
+    {
+      id: "Quarter Turf SB",
+      domId: "SB",
+      label: "Turf SB",
+      facilities: [
+        "AC Fieldhouse - Full Turf",
+        "AC Fieldhouse - Half Turf South",
+        "AC Fieldhouse - Quarter Turf SB",
+      ],
+    },
+
+    // North Gym: 9A, 9B, 10A, 10B
+    {
+      id: "9A",
+      label: "9A",
+      facilities: [
+        "AC Gym - Full Gym 9 & 10",
+        "AC Gym - Court 9-AB",
+        "AC Gym - Half Court 9A",
+      ],
+    },
+    {
+      id: "9B",
+      label: "9B",
+      facilities: [
+        "AC Gym - Full Gym 9 & 10",
+        "AC Gym - Court 9-AB",
+        "AC Gym - Half Court 9B",
+      ],
+    },
+    {
+      id: "10A",
+      label: "10A",
+      facilities: [
+        "AC Gym - Full Gym 9 & 10",
+        "AC Gym - Court 10-AB",
+        "AC Gym - Half Court 10A",
+      ],
+    },
+    {
+      id: "10B",
+      label: "10B",
+      facilities: [
+        "AC Gym - Full Gym 9 & 10",
+        "AC Gym - Court 10-AB",
+        "AC Gym - Half Court 10B",
+      ],
+    },
+  ],
+
+  // ---------- Floors ----------
+  // A floor is a set of rooms that can also be booked as a whole through
+  // one facility. Used by the conflict check: a full-floor booking clashes
+  // with anything else on that floor, even when RecTrac only listed the
+  // whole-floor facility.
+  floors: [
+    {
+      id: "south",
+      label: "South Gym",
+      fullFacility: "AC Gym - Full Gym 1AB & 2AB",
+      rooms: ["1A", "1B", "2A", "2B"],
+    },
+    {
+      id: "fieldhouse-courts",
+      label: "Fieldhouse courts",
+      fullFacility: "AC Fieldhouse Court 3-8",
+      rooms: ["3", "4", "5", "6", "7", "8"],
+    },
+    {
+      id: "fieldhouse-turf",
+      label: "Fieldhouse turf",
+      fullFacility: "AC Fieldhouse - Full Turf",
+      rooms: ["Quarter Turf NA", "Quarter Turf NB", "Quarter Turf SA", "Quarter Turf SB"],
+    },
+    {
+      id: "north",
+      label: "North Gym",
+      fullFacility: "AC Gym - Full Gym 9 & 10",
+      rooms: ["9A", "9B", "10A", "10B"],
+    },
+  ],
+
+  // Facilities RecTrac lists on bookings that don't decide a room.
+  // Listed here so the reconciliation report doesn't flag them as unknown.
+  ignoredFacilities: [
+    // Optional on South Gym bookings (see rooms 1A–2B above)
+    "AC Gym - Championship Court",
+  ],
+
+  // ---------- Clusters ----------
+  // Board columns, left to right. Rooms are listed in layout order
+  // (row by row). A cluster whose rooms change with the season lists
+  // them per season under `seasons` instead.
+  // layout: CSS class on the cluster's room container
+  clusters: [
+    {
+      id: "south",
+      title: "South Gym",
+      layout: "rows-2x2",
+      rooms: ["1A", "1B", "2A", "2B"],
+    },
+    {
+      id: "fieldhouse",
+      title: "Fieldhouse",
+      seasons: {
+        // Top row: SA, NA — bottom row: SB, NB
+        turf: {
+          layout: "turf-2x2",
+          rooms: ["Quarter Turf SA", "Quarter Turf NA", "Quarter Turf SB", "Quarter Turf NB"],
+        },
+        courts: {
+          layout: "courts-3x2",
+          rooms: ["3", "4", "5", "6", "7", "8"],
+        },
+      },
+    },
+    {
+      id: "north",
+      title: "North Gym",
+      layout: "rows-2x2",
+      rooms: ["9A", "9B", "10A", "10B"],
+    },
+  ],
+};
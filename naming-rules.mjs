@@ -0,0 +1,78 @@
+// naming-rules.mjs
+// How a RecTrac reservation (reservee + purpose) becomes the title and
+// subtitle shown on the board. Loaded and validated by scripts/transform.mjs.
+// A new program that needs its own wording should only ever mean adding a
+// rule here; check the result with:
+//
+//   node scripts/naming-preview.mjs [report.csv]
+//
+// Rules are tried in order and the first match wins; `fallback` names
+// everything else.
+//
+//   name:     shown by the preview command
+//   when:     what to match; every key given must match (case-insensitive)
+//               reservee / purpose / any (either one):
+//                 "text"   the field contains the text
+//                 /regex/  the field matches; named groups become template fields
+//   title, subtitle: templates
+//               {reservee}       reservee after clean-up and privacy (below)
+//               {purpose}        Reservation Purpose
+//               {name}           a named group from a `when` regex
+//               {a|b|"text"}     the first that isn't empty
+//   privacy:  optional; overrides privacy.individuals for this rule
+
+export const NAMING_RULES = {
+  // ---------- Reservee clean-up ----------
+  reservee: {
+    // "Chicago Sport and Social Club, Chicago Sport and Social Club" -> "Chicago Sport and Social Club"
+    collapseDuplicates: true,
+    // "Tendean, Audrey" -> "Audrey Tendean" (a one-word last name, then first names)
+    flipLastFirst: true,
+  },
+
+  // ---------- Privacy ----------
+  // Individual renters (reservees in "Last, First" form) are shown as:
+  //   "full"                Audrey Felicite Tendean
+  //   "first-last-initial"  Audrey T.
+  //   "initials"            A. T.
+  //   "label"               privacy.label
+  privacy: {
+    individuals: "full",
+    label: "Private rental",
+  },
+
+  // ---------- Rules ----------
+  rules: [
+    {
+      name: "Open Pickleball",
+      when: { any: "open pickleball" },
+      title: "Open Pickleball",
+      subtitle: "",
+    },
+    {
+      name: "Open Gym",
+      when: { any: "open gym" },
+      title: "Open Gym",
+      subtitle: "",
+    },
+    {
+      // Keep "Catch Corner" in the title, the booking detail underneath
+      name: "Catch Corner",
+      when: { any: "catch corner" },
+      title: "Catch Corner",
+      subtitle: "{purpose|reservee}",
+    },
+    {
+      name: "Purpose only",
+      when: { reservee: /^$/ },
+      title: '{purpose|"Reserved"}',
+      subtitle: "",
+    },
+  ],
+
+  fallback: {
+    name: "Reservee and purpose",
+    title: '{reservee|"Reserved"}',
+    subtitle: "{purpose}",
+  },
+};
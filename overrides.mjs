@@ -0,0 +1,214 @@
+// overrides.mjs
+// Manual changes staff make on top of the RecTrac feed (overrides.json,
+// edited on admin.html): hide, rename, add or block out slots, plus
+// facility-wide announcements. Applied at display time by the board and
+// scripts/server.mjs, so an edit shows up without rebuilding events.json.
+// Plain ES module with no Node or DOM dependencies (like schedule.mjs).
+//
+//   {
+//     overrides: [{
+//       id:       any string, for the admin page
+//       action:   "hide"    drop matching slots
+//                 "rename"  give matching slots a new title and/or subtitle
+//                 "add"     put a booking on the board
+//                 "block"   close the room(s): drops what overlaps, shows the block
+//       rooms:    ["10B", …]  optional for hide/rename (default: every room)
+//       date:     "YYYY-MM-DD"  optional (default: every day; add/block show today)
+//       start, end: "HH:MM"  time window; required for add/block, optional otherwise
+//       match:    text in the title or subtitle (case-insensitive); hide/rename
+//       title, subtitle: for rename/add/block (block's title defaults to "Closed")
+//       expires:  optional; "YYYY-MM-DD" (end of that day) or "YYYY-MM-DDTHH:MM"
+//       note:     optional, for staff
+//     }],
+//     announcements: [{ id, text, level: "info" | "warning", expires? }],
+//     updatedAt: set by scripts/server.mjs when admin.html saves
+//   }
+//
+// However they are listed, hides run first, then renames, then blocks,
+// then adds, and `match` is always checked against RecTrac's own titles.
+
+import { dateKey, toDate, slotDate, parseClock } from "./schedule.mjs";
+
+export const OVERRIDE_ACTIONS = ["hide", "rename", "add", "block"];
+export const ANNOUNCEMENT_LEVELS = ["info", "warning"];
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+
+// "2025-11-03" -> end of that day; "2025-11-03T18:00" (or any ISO) -> that time
+function expiryTime(expires) {
+  if (DATE_KEY.test(expires)) return toDate(expires, 1440).getTime();
+  return new Date(expires).getTime();
+}
+
+export function isExpired(entry, now = new Date()) {
+  if (!entry?.expires) return false;
+  return expiryTime(entry.expires) <= now.getTime();
+}
+
+// ---------- Validation ----------
+
+// Returns a list of problems (empty when `data` is a valid overrides.json)
+export function validateOverrides(data) {
+  if (data == null || typeof data !== "object" || Array.isArray(data)) {
+    return ["overrides.json must be an object"];
+  }
+
+  const problems = [];
+  const checkExpiry = (entry, where) => {
+    if (entry.expires != null && Number.isNaN(expiryTime(entry.expires))) {
+      problems.push(`${where}: expires must be "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM"`);
+    }
+  };
+
+  if (data.overrides != null && !Array.isArray(data.overrides)) {
+    problems.push("overrides: must be an array");
+  }
+  (Array.isArray(data.overrides) ? data.overrides : []).forEach((o, i) => {
+    const where = `overrides[${i}]`;
+    if (o == null || typeof o !== "object") {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    if (!OVERRIDE_ACTIONS.includes(o.action)) {
+      problems.push(`${where}: action must be one of ${OVERRIDE_ACTIONS.join(", ")}`);
+    }
+    if (o.rooms != null && (!Array.isArray(o.rooms) || !o.rooms.every(isNonEmptyString))) {
+      problems.push(`${where}: rooms must be a list of room ids`);
+    }
+    if ((o.action === "add" || o.action === "block") && !o.rooms?.length) {
+      problems.push(`${where}: ${o.action} needs at least one room`);
+    }
+    if (o.date != null && !DATE_KEY.test(o.date)) problems.push(`${where}: date must be "YYYY-MM-DD"`);
+
+    const start = o.start == null ? null : parseClock(o.start);
+    const end = o.end == null ? null : parseClock(o.end);
+    if ((o.start != null && start == null) || (o.end != null && end == null)) {
+      problems.push(`${where}: start/end must be "HH:MM"`);
+    } else if (start != null && end != null && end <= start) {
+      problems.push(`${where}: end must be after start`);
+    } else if ((o.action === "add" || o.action === "block") && (start == null || end == null)) {
+      problems.push(`${where}: ${o.action} needs a start and end time`);
+    }
+
+    if ((o.action === "hide" || o.action === "rename") && !isNonEmptyString(o.match) && !o.rooms?.length) {
+      problems.push(`${where}: ${o.action} needs a match or rooms (it would apply to everything)`);
+    }
+    if (o.action === "rename" && !isNonEmptyString(o.title) && !isNonEmptyString(o.subtitle)) {
+      problems.push(`${where}: rename needs a title or subtitle`);
+    }
+    if (o.action === "add" && !isNonEmptyString(o.title)) problems.push(`${where}: add needs a title`);
+    checkExpiry(o, where);
+  });
+
+  if (data.announcements != null && !Array.isArray(data.announcements)) {
+    problems.push("announcements: must be an array");
+  }
+  (Array.isArray(data.announcements) ? data.announcements : []).forEach((a, i) => {
+    const where = `announcements[${i}]`;
+    if (a == null || typeof a !== "object" || !isNonEmptyString(a.text)) {
+      problems.push(`${where}: text must be a non-empty string`);
+      return;
+    }
+    if (a.level != null && !ANNOUNCEMENT_LEVELS.includes(a.level)) {
+      problems.push(`${where}: level must be one of ${ANNOUNCEMENT_LEVELS.join(", ")}`);
+    }
+    checkExpiry(a, where);
+  });
+
+  return problems;
+}
+
+export function assertValidOverrides(data) {
+  const problems = validateOverrides(data);
+  if (problems.length) {
+    throw new Error(`overrides.json is invalid:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+  }
+  return data;
+}
+
+// ---------- Applying ----------
+
+function timeWindow(o) {
+  return { startMin: parseClock(o.start) ?? 0, endMin: parseClock(o.end) ?? 1440 };
+}
+
+// Does override `o` (hide/rename/block) cover `slot`?
+function covers(o, slot, today) {
+  if (o.rooms?.length && !o.rooms.includes(slot.roomId)) return false;
+  if (o.date && o.date !== slotDate(slot, today)) return false;
+
+  const { startMin, endMin } = timeWindow(o);
+  if (slot.startMin >= endMin || slot.endMin <= startMin) return false;
+
+  if (isNonEmptyString(o.match)) {
+    const needle = o.match.trim().toLowerCase();
+    const text = `${slot.title || ""}\n${slot.subtitle || ""}`.toLowerCase();
+    if (!text.includes(needle)) return false;
+  }
+  return true;
+}
+
+// Slots an add/block puts on the board: one per room, on its date (or today)
+function placed(o, today, fields) {
+  const { startMin, endMin } = timeWindow(o);
+  return o.rooms.map((roomId) => ({
+    roomId,
+    date: o.date || today,
+    startMin,
+    endMin,
+    subtitle: o.subtitle || "",
+    ...fields,
+    override: o.id || o.action,
+  }));
+}
+
+/**
+ * events.json slots with the unexpired overrides applied.
+ * Slots that come from an override carry `override` (its id); blocks also
+ * carry `closed: true`.
+ */
+export function applyOverrides(slots, overrides = [], now = new Date()) {
+  const today = dateKey(now);
+  const active = overrides.filter((o) => o && !isExpired(o, now));
+  const byAction = (action) => active.filter((o) => o.action === action);
+
+  const hides = byAction("hide");
+  const renames = byAction("rename");
+  const blocks = byAction("block");
+
+  const result = [];
+  for (const slot of slots) {
+    if (hides.some((o) => covers(o, slot, today))) continue;
+    if (blocks.some((o) => covers({ ...o, match: null }, slot, today))) continue;
+
+    const rename = renames.find((o) => covers(o, slot, today));
+    result.push(
+      rename
+        ? {
+            ...slot,
+            title: isNonEmptyString(rename.title) ? rename.title : slot.title,
+            subtitle: isNonEmptyString(rename.subtitle) ? rename.subtitle : slot.subtitle,
+            override: rename.id || rename.action,
+          }
+        : slot
+    );
+  }
+
+  for (const o of blocks) {
+    result.push(...placed(o, today, { title: o.title || "Closed", closed: true }));
+  }
+  for (const o of byAction("add")) {
+    result.push(...placed(o, today, { title: o.title }));
+  }
+
+  return result;
+}
+
+// Announcements to show now, warnings first
+export function activeAnnouncements(announcements = [], now = new Date()) {
+  return announcements
+    .filter((a) => a && isNonEmptyString(a.text) && !isExpired(a, now))
+    .sort((a, b) => (b.level === "warning") - (a.level === "warning"));
+}
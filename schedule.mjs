@@ -0,0 +1,116 @@
+// schedule.mjs
+// Read-only queries over the events.json slot model
+// ({ roomId, date: "YYYY-MM-DD", startMin, endMin, title, subtitle }).
+// Plain ES module with no Node or DOM dependencies, so the board and
+// scripts/server.mjs answer "what's on now / next" the same way.
+//
+// Slots without a date (events.json from before dated reports) count as
+// today. Times are local to wherever this runs (TZ=America/Chicago).
+
+const pad = (n) => String(n).padStart(2, "0");
+const CLOCK = /^([01]?\d|2[0-4]):([0-5]\d)$/;
+
+// Date -> "YYYY-MM-DD" (local)
+export function dateKey(d = new Date()) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Date -> minutes since local midnight
+export function minutesOf(d = new Date()) {
+  return d.getHours() * 60 + d.getMinutes();
+}
+
+// "19:30" -> 1170; null when not a clock time
+export function parseClock(value) {
+  const m = CLOCK.exec(String(value ?? "").trim());
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  return minutes <= 1440 ? minutes : null;
+}
+
+// ("2025-11-03", 1170) -> Date for 7:30pm that day (local)
+export function toDate(key, minutes = 0) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d, 0, minutes);
+}
+
+// ("2025-11-03", 1170) -> "2025-11-03T19:30" (local, no offset)
+export function toLocalIso(key, minutes) {
+  const d = toDate(key, minutes);
+  return `${dateKey(d)}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export function slotDate(slot, today = dateKey()) {
+  return slot.date || today;
+}
+
+// Absolute start/end of a slot as Dates
+export function slotBounds(slot, today = dateKey()) {
+  const key = slotDate(slot, today);
+  return { start: toDate(key, slot.startMin), end: toDate(key, slot.endMin) };
+}
+
+export function sortSlots(slots, today = dateKey()) {
+  return [...slots].sort(
+    (a, b) =>
+      slotDate(a, today).localeCompare(slotDate(b, today)) ||
+      a.startMin - b.startMin ||
+      (a.title || "").localeCompare(b.title || "")
+  );
+}
+
+/**
+ * Filter slots by room and/or time window.
+ * - room: roomId (exact)
+ * - date: "YYYY-MM-DD", only slots on that day
+ * - from/to: Dates; keeps slots overlapping [from, to)
+ */
+export function querySlots(slots, { room, date, from, to } = {}, now = new Date()) {
+  const today = dateKey(now);
+  return sortSlots(
+    slots.filter((s) => {
+      if (room && s.roomId !== room) return false;
+      if (date && slotDate(s, today) !== date) return false;
+      const { start, end } = slotBounds(s, today);
+      if (from && end <= from) return false;
+      if (to && start >= to) return false;
+      return true;
+    }),
+    today
+  );
+}
+
+// The slot happening in a room right now (earliest-starting if several)
+export function currentSlot(slots, roomId, now = new Date()) {
+  const today = dateKey(now);
+  return (
+    sortSlots(slots, today).find((s) => {
+      if (s.roomId !== roomId) return false;
+      const { start, end } = slotBounds(s, today);
+      return start <= now && now < end;
+    }) || null
+  );
+}
+
+// The next slot in a room that hasn't started yet
+export function nextSlot(slots, roomId, now = new Date()) {
+  const today = dateKey(now);
+  return (
+    sortSlots(slots, today).find(
+      (s) => s.roomId === roomId && slotBounds(s, today).start > now
+    ) || null
+  );
+}
+
+/**
+ * What a room is doing at `now`:
+ * { roomId, current, next, freeUntil }
+ * freeUntil is the start of the next slot when the room is free now
+ * (null when busy, or free for the rest of the data).
+ */
+export function roomStatus(slots, roomId, now = new Date()) {
+  const current = currentSlot(slots, roomId, now);
+  const next = nextSlot(slots, roomId, now);
+  const freeUntil = !current && next ? slotBounds(next, dateKey(now)).start : null;
+  return { roomId, current, next, freeUntil };
+}
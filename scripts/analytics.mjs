@@ -0,0 +1,356 @@
+// analytics.mjs
+// Utilization report over the archived schedules (see archive.mjs).
+//
+// For every archived day in range it takes that day's slots — the same
+// slot model transform.mjs writes to events.json — and reports:
+//   rooms.csv      booked hours and utilization per room
+//   clusters.csv   the same per cluster (South Gym, Fieldhouse, North Gym)
+//   reservees.csv  bookings and room-hours per reservee (as the report names
+//                  them, not the slot title naming rules and masking produce)
+//   hours.csv      booked room-hours per hour of day
+//   heatmap.csv    average rooms in use per weekday × hour, per cluster
+//   index.html     all of the above as one static page
+//
+// Only rooms on the board that day count (turf quarters in turf season,
+// courts 3–8 otherwise). Utilization is booked time inside
+// FACILITY_CONFIG.operatingHours divided by open time.
+//
+// Usage:
+//   node scripts/analytics.mjs [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+//                              [--out dir] [--rebuild]
+// --rebuild re-reads each archived CSV with the current facility config
+// instead of the events.json that was published that day.
+
+import fs from "fs";
+import path from "path";
+import { FACILITY_CONFIG } from "../facility-config.mjs";
+import { parseClock } from "../schedule.mjs";
+import { loadSlotsFromCsv, detectSeason } from "./transform.mjs";
+import { ARCHIVE_DIR, readIndex, latestEntryFor, reportPath } from "./archive.mjs";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DAY_MIN = 24 * 60;
+
+// ---------- Helpers ----------
+
+function parseArgs(argv) {
+  const opts = { from: null, to: null, out: "./data/analytics", rebuild: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--rebuild") opts.rebuild = true;
+    else if (arg === "--from") opts.from = argv[++i];
+    else if (arg === "--to") opts.to = argv[++i];
+    else if (arg === "--out") opts.out = argv[++i];
+    else throw new Error(`Unknown argument "${arg}"`);
+  }
+  return opts;
+}
+
+function weekdayOf(dateKey) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(y, m - 1, d).getDay();
+}
+
+// [[start, end], …] -> non-overlapping, sorted
+function mergeIntervals(intervals) {
+  const sorted = intervals
+    .map(([s, e]) => [Math.max(0, s), Math.min(DAY_MIN, e)])
+    .filter(([s, e]) => e > s)
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [s, e] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  return merged;
+}
+
+function overlapMin([s, e], from, to) {
+  return Math.max(0, Math.min(e, to) - Math.max(s, from));
+}
+
+function clusterRooms(cluster, season) {
+  if (!cluster.seasons) return cluster.rooms;
+  return (cluster.seasons[season] || cluster.seasons[FACILITY_CONFIG.season.default]).rooms;
+}
+
+const hours = (min) => Math.round((min / 60) * 100) / 100;
+const pct = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// ---------- Loading ----------
+
+// -> [{ date, season, slots }] for each archived day in range; slots also
+// get the `reservee` their reservation was booked under
+function loadDays({ from, to, rebuild }) {
+  const entries = readIndex();
+  const dates = new Set();
+  for (const e of entries) {
+    for (const d of e.dates || [e.date]) dates.add(d);
+  }
+
+  const cache = new Map(); // entry id -> { season, slots }
+  const load = (entry) => {
+    if (cache.has(entry.id)) return cache.get(entry.id);
+
+    // The archived report is read either way: it has the raw reservee for
+    // each reservation id, which events.json doesn't publish
+    const report = loadSlotsFromCsv(path.join(ARCHIVE_DIR, reportPath(entry)), entry.date);
+    const reservees = new Map(report.groups.map((g) => [g.reservation, g.reservee]));
+
+    let loaded;
+    if (rebuild) {
+      loaded = { season: detectSeason(report.rows), slots: report.slots };
+    } else {
+      const events = JSON.parse(fs.readFileSync(path.join(ARCHIVE_DIR, entry.events), "utf8"));
+      loaded = { season: events.season, slots: events.slots || [] };
+    }
+    loaded.slots = loaded.slots.map((s) => ({ ...s, reservee: reservees.get(s.reservation) }));
+    cache.set(entry.id, loaded);
+    return loaded;
+  };
+
+  return Array.from(dates)
+    .filter((d) => (!from || d >= from) && (!to || d <= to))
+    .sort()
+    .map((date) => {
+      const entry = latestEntryFor(entries, date);
+      const { season, slots } = load(entry);
+      return {
+        date,
+        season: season || FACILITY_CONFIG.season.default,
+        // Undated slots (older events.json) belong to the entry's report date
+        slots: slots.filter((s) => (s.date || entry.date) === date),
+      };
+    });
+}
+
+// ---------- Aggregation ----------
+
+function analyze(days) {
+  const open = parseClock(FACILITY_CONFIG.operatingHours.open);
+  const close = parseClock(FACILITY_CONFIG.operatingHours.close);
+  const openMin = close - open;
+
+  const labels = new Map(FACILITY_CONFIG.rooms.map((r) => [r.id, r.label]));
+  const rooms = new Map();    // roomId -> stats
+  const clusters = new Map(); // clusterId -> stats
+  const reservees = new Map(); // reservee -> stats
+  const byHour = new Array(24).fill(0); // room-minutes
+  const heat = new Map();     // clusterId | "all" -> [weekday][hour] room-minutes
+  const weekdayDays = new Array(7).fill(0);
+
+  const blankStats = () => ({ days: 0, bookings: 0, bookedMin: 0, openBookedMin: 0, openMin: 0 });
+  const blankHeat = () => WEEKDAYS.map(() => new Array(24).fill(0));
+  heat.set("all", blankHeat());
+
+  for (const day of days) {
+    const weekday = weekdayOf(day.date);
+    weekdayDays[weekday]++;
+
+    for (const cluster of FACILITY_CONFIG.clusters) {
+      if (!clusters.has(cluster.id)) clusters.set(cluster.id, { ...blankStats(), title: cluster.title });
+      if (!heat.has(cluster.id)) heat.set(cluster.id, blankHeat());
+      const cStats = clusters.get(cluster.id);
+      cStats.days++;
+
+      for (const roomId of clusterRooms(cluster, day.season)) {
+        if (!rooms.has(roomId)) rooms.set(roomId, { ...blankStats(), cluster: cluster.title });
+        const rStats = rooms.get(roomId);
+
+        const roomSlots = day.slots.filter((s) => s.roomId === roomId);
+        const merged = mergeIntervals(roomSlots.map((s) => [s.startMin, s.endMin]));
+        const booked = merged.reduce((sum, [s, e]) => sum + (e - s), 0);
+        const inHours = merged.reduce((sum, iv) => sum + overlapMin(iv, open, close), 0);
+
+        for (const stats of [rStats, cStats]) {
+          stats.bookings += roomSlots.length;
+          stats.bookedMin += booked;
+          stats.openBookedMin += inHours;
+          stats.openMin += openMin;
+        }
+        rStats.days++;
+
+        for (const iv of merged) {
+          for (let h = Math.floor(iv[0] / 60); h * 60 < iv[1]; h++) {
+            const m = overlapMin(iv, h * 60, (h + 1) * 60);
+            byHour[h] += m;
+            heat.get("all")[weekday][h] += m;
+            heat.get(cluster.id)[weekday][h] += m;
+          }
+        }
+
+        for (const s of roomSlots) {
+          // Slots archived before they carried a reservation id fall back to the title
+          const key = s.reservee || s.title || "Reserved";
+          if (!reservees.has(key)) reservees.set(key, { bookings: new Set(), roomMin: 0, days: new Set() });
+          const r = reservees.get(key);
+          r.bookings.add(`${day.date}|${s.startMin}|${s.endMin}|${s.reservation || s.subtitle || ""}`);
+          r.roomMin += s.endMin - s.startMin;
+          r.days.add(day.date);
+        }
+      }
+    }
+  }
+
+  return { days, labels, rooms, clusters, reservees, byHour, heat, weekdayDays };
+}
+
+// ---------- Output ----------
+
+function toCsv(header, rows) {
+  const cell = (v) => {
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [header, ...rows].map((r) => r.map(cell).join(",")).join("\n") + "\n";
+}
+
+function buildTables(a) {
+  const statRow = (s) => [s.days, s.bookings, hours(s.bookedMin), pct(s.openBookedMin, s.openMin)];
+
+  const rooms = {
+    header: ["room", "label", "cluster", "days", "bookings", "bookedHours", "utilizationPct"],
+    rows: Array.from(a.rooms, ([id, s]) => [id, a.labels.get(id) || id, s.cluster, ...statRow(s)]),
+  };
+
+  const clusters = {
+    header: ["cluster", "title", "days", "bookings", "bookedHours", "utilizationPct"],
+    rows: Array.from(a.clusters, ([id, s]) => [id, s.title, ...statRow(s)]),
+  };
+
+  const reservees = {
+    header: ["reservee", "bookings", "days", "roomHours"],
+    rows: Array.from(a.reservees, ([title, r]) => [title, r.bookings.size, r.days.size, hours(r.roomMin)])
+      .sort((x, y) => y[3] - x[3]),
+  };
+
+  const totalDays = a.days.length || 1;
+  const hoursTable = {
+    header: ["hour", "bookedRoomHours", "avgRoomsInUse"],
+    rows: a.byHour.map((m, h) => [h, hours(m), hours(m / totalDays)]),
+  };
+
+  const heatmap = {
+    header: ["cluster", "weekday", "hour", "avgRoomsInUse"],
+    rows: [],
+  };
+  for (const [clusterId, grid] of a.heat) {
+    grid.forEach((row, wd) => {
+      row.forEach((m, h) => {
+        const n = a.weekdayDays[wd];
+        heatmap.rows.push([clusterId, WEEKDAYS[wd], h, n ? hours(m / n) : 0]);
+      });
+    });
+  }
+
+  return { rooms, clusters, reservees, hours: hoursTable, heatmap };
+}
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function htmlTable({ header, rows }) {
+  const head = header.map((h) => `<th>${escapeHtml(h)}</th>`).join("");
+  const body = rows
+    .map((r) => `<tr>${r.map((v) => `<td>${escapeHtml(v)}</td>`).join("")}</tr>`)
+    .join("\n");
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function htmlHeatmap(title, grid, weekdayDays) {
+  const avg = grid.map((row, wd) => row.map((m) => (weekdayDays[wd] ? m / 60 / weekdayDays[wd] : 0)));
+  const max = Math.max(0.0001, ...avg.flat());
+
+  const head = `<th></th>${avg[0].map((_, h) => `<th>${h}</th>`).join("")}`;
+  const body = avg
+    .map((row, wd) => {
+      const cells = row
+        .map((v) => {
+          const alpha = (v / max).toFixed(2);
+          return `<td class="heat" style="background:rgba(43,135,255,${alpha})" title="${v.toFixed(2)} rooms">${v ? v.toFixed(1) : ""}</td>`;
+        })
+        .join("");
+      return `<tr><th>${WEEKDAYS[wd]}</th>${cells}</tr>`;
+    })
+    .join("\n");
+
+  return `<h3>${escapeHtml(title)}</h3><table class="heatmap"><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function buildHtml(a, tables) {
+  const range = a.days.length ? `${a.days[0].date} – ${a.days[a.days.length - 1].date}` : "no data";
+  const titles = new Map(FACILITY_CONFIG.clusters.map((c) => [c.id, c.title]));
+  const heatmaps = Array.from(a.heat, ([id, grid]) =>
+    htmlHeatmap(id === "all" ? "Whole facility" : titles.get(id) || id, grid, a.weekdayDays)
+  ).join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>RAEC Utilization — ${escapeHtml(range)}</title>
+  <style>
+    body{ margin:24px; background:#0f1115; color:#e7eaf1; font-family: Inter, Segoe UI, Roboto, Arial, sans-serif; }
+    h1{ margin:0 0 4px; } .muted{ color:#9aa3b2; }
+    h2{ margin-top:32px; border-bottom:1px solid #1b202a; padding-bottom:6px; }
+    table{ border-collapse:collapse; margin:8px 0 16px; }
+    th,td{ border:1px solid #1b202a; padding:4px 8px; text-align:right; font-size:14px; }
+    th{ color:#9aa3b2; font-weight:600; } td:first-child{ text-align:left; }
+    .heatmap td{ width:28px; text-align:center; font-size:12px; }
+  </style>
+</head>
+<body>
+  <h1>RAEC utilization</h1>
+  <div class="muted">${escapeHtml(range)} · ${a.days.length} day(s) · open ${escapeHtml(FACILITY_CONFIG.operatingHours.open)}–${escapeHtml(FACILITY_CONFIG.operatingHours.close)} · generated ${escapeHtml(new Date().toLocaleString())}</div>
+
+  <h2>Clusters</h2>
+  ${htmlTable(tables.clusters)}
+
+  <h2>Rooms</h2>
+  ${htmlTable(tables.rooms)}
+
+  <h2>Peak times (average rooms in use)</h2>
+  ${heatmaps}
+
+  <h2>By hour of day</h2>
+  ${htmlTable(tables.hours)}
+
+  <h2>Reservees</h2>
+  ${htmlTable(tables.reservees)}
+</body>
+</html>
+`;
+}
+
+// ---------- Main ----------
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const days = loadDays(opts);
+  if (!days.length) {
+    throw new Error(`No archived days in range (archive: ${ARCHIVE_DIR}).`);
+  }
+
+  const analysis = analyze(days);
+  const tables = buildTables(analysis);
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  for (const [name, table] of Object.entries(tables)) {
+    fs.writeFileSync(path.join(opts.out, `${name}.csv`), toCsv(table.header, table.rows));
+  }
+  fs.writeFileSync(path.join(opts.out, "index.html"), buildHtml(analysis, tables));
+
+  console.log(`Analyzed ${days.length} day(s) (${days[0].date} – ${days[days.length - 1].date}).`);
+  for (const row of tables.clusters.rows) {
+    console.log(`  ${row[1].padEnd(12)} ${String(row[4]).padStart(8)} h  ${row[5]}%`);
+  }
+  console.log(`Wrote utilization report to ${opts.out}`);
+}
+
+main().catch((err) => {
+  console.error("analytics.mjs failed:", err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+// archive.mjs
+// Keeps every processed report so past days can be looked up or rebuilt.
+//
+// Reports hold renter details, so the archive lives under data/ (kept out
+// of git); CI keeps it in the Actions cache and uploads it as an artifact.
+//
+// Layout (ARCHIVE_DIR, default ./data/archive):
+//   index.json                      one entry per distinct report (by sha256)
+//   2025-11-03/<hash12>.csv         the report as fetched (.xlsx/.xls for workbooks)
+//   2025-11-03/<hash12>.events.json what transform.mjs made of it
+//   2025-11-03/<hash12>.meta.json   source sidecar from scripts/ingest (if any)
+//
+// Usage:
+//   node scripts/archive.mjs store              archive IN_CSV + OUT_JSON
+//   node scripts/archive.mjs list [date]        list archived reports
+//   node scripts/archive.mjs show <date> [room] print an archived day's slots
+//   node scripts/archive.mjs rerun <date> [out] re-run transform.mjs on a day
+//                                               (default out: data/rerun/<date>/events.json)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import { run as transform, metaPathFor, readMeta, detectFormat } from "./transform.mjs";
+
+export const ARCHIVE_DIR = process.env.ARCHIVE_DIR || "./data/archive";
+const INDEX_PATH  = path.join(ARCHIVE_DIR, "index.json");
+
+// ---------- Index ----------
+
+export function readIndex() {
+  if (!fs.existsSync(INDEX_PATH)) return [];
+  return JSON.parse(fs.readFileSync(INDEX_PATH, "utf8"));
+}
+
+function writeIndex(entries) {
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(entries, null, 2));
+}
+
+// Newest archived entry covering a "YYYY-MM-DD" date
+export function latestEntryFor(entries, date) {
+  const matches = entries.filter((e) => e.date === date || e.dates?.includes(date));
+  if (!matches.length) {
+    throw new Error(`No archived report for ${date}. Try: node scripts/archive.mjs list`);
+  }
+  return matches[matches.length - 1];
+}
+
+// The archived report's path; entries from before workbooks were accepted call it `csv`
+export function reportPath(entry) {
+  return entry.report ?? entry.csv;
+}
+
+function formatTime(min) {
+  const h24 = Math.floor(min / 60) % 24;
+  const h12 = ((h24 + 11) % 12) + 1;
+  return `${h12}:${String(min % 60).padStart(2, "0")}${h24 >= 12 ? "pm" : "am"}`;
+}
+
+// ---------- Commands ----------
+
+function store() {
+  const inputCsv   = process.env.IN_CSV   || "./data/input.csv";
+  const outputJson = process.env.OUT_JSON || "./events.json";
+  const inputMeta  = process.env.IN_META  || metaPathFor(inputCsv);
+
+  const contents = fs.readFileSync(inputCsv);
+  const sha256 = crypto.createHash("sha256").update(contents).digest("hex");
+
+  const entries = readIndex();
+  const existing = entries.find((e) => e.sha256 === sha256);
+  if (existing) {
+    console.log(`Already archived as ${existing.date}/${existing.id} — skipping.`);
+    return;
+  }
+
+  const events = JSON.parse(fs.readFileSync(outputJson, "utf8"));
+  const meta = readMeta(inputMeta);
+  const date = events.reportDate || new Date().toISOString().slice(0, 10);
+  const id = sha256.slice(0, 12);
+  // Keep the report's own format (OUT_CSV is written whatever the attachment was)
+  const report = `${date}/${id}.${detectFormat(contents)}`;
+
+  const dayDir = path.join(ARCHIVE_DIR, date);
+  fs.mkdirSync(dayDir, { recursive: true });
+  fs.writeFileSync(path.join(ARCHIVE_DIR, report), contents);
+  fs.writeFileSync(path.join(dayDir, `${id}.events.json`), JSON.stringify(events, null, 2));
+  if (meta) {
+    fs.writeFileSync(path.join(dayDir, `${id}.meta.json`), JSON.stringify(meta, null, 2));
+  }
+
+  const entry = {
+    id,
+    date,
+    dates: events.dates || [date],
+    sha256,
+    source: meta?.source ?? (meta ? "email" : null),
+    uid: meta?.uid ?? null,
+    mailbox: meta?.mailbox ?? null,
+    subject: meta?.subject ?? null,
+    receivedAt: meta?.date ?? null,
+    archivedAt: new Date().toISOString(),
+    report,
+    events: `${date}/${id}.events.json`,
+  };
+
+  entries.push(entry);
+  entries.sort((a, b) => a.date.localeCompare(b.date) || a.archivedAt.localeCompare(b.archivedAt));
+  writeIndex(entries);
+
+  console.log(`Archived ${inputCsv} as ${entry.report} (${events.slots?.length ?? 0} slots).`);
+}
+
+function list(date) {
+  const entries = readIndex().filter(
+    (e) => !date || e.date === date || e.dates?.includes(date)
+  );
+  if (!entries.length) {
+    console.log("No archived reports.");
+    return;
+  }
+  for (const e of entries) {
+    const from = e.subject ? `  "${e.subject}" uid=${e.uid}` : "";
+    const days = e.dates?.length > 1 ? ` (+${e.dates.length - 1} day(s))` : "";
+    console.log(`${e.date}${days}  ${e.id}  received ${e.receivedAt || "?"}${from}`);
+  }
+}
+
+function show(date, room) {
+  const entry = latestEntryFor(readIndex(), date);
+  const events = JSON.parse(fs.readFileSync(path.join(ARCHIVE_DIR, entry.events), "utf8"));
+
+  const slots = (events.slots || [])
+    .filter((s) => !s.date || s.date === date)
+    .filter((s) => !room || s.roomId === room);
+
+  console.log(`${date}${room ? ` — ${room}` : ""}: ${slots.length} slot(s) (season="${events.season}")`);
+  for (const s of slots) {
+    const who = [s.title, s.subtitle].filter(Boolean).join(" — ");
+    console.log(`  ${s.roomId.padEnd(16)} ${formatTime(s.startMin)}–${formatTime(s.endMin)}  ${who}`);
+  }
+}
+
+async function rerun(date, out) {
+  const entry = latestEntryFor(readIndex(), date);
+  const outputJson = out || path.join("data", "rerun", date, "events.json");
+  const metaPath = path.join(ARCHIVE_DIR, entry.date, `${entry.id}.meta.json`);
+
+  fs.mkdirSync(path.dirname(outputJson), { recursive: true });
+
+  await transform({
+    inputCsv: path.join(ARCHIVE_DIR, reportPath(entry)),
+    inputMeta: metaPath,
+    outputJson,
+    outputReport: path.join(path.dirname(outputJson), "reconciliation.json"),
+    reportDate: entry.date,
+  });
+
+  console.log(`Re-ran archived report ${entry.id}; see ${outputJson}`);
+}
+
+// ---------- Main ----------
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case "store":
+      return store();
+    case "list":
+      return list(args[0]);
+    case "show":
+      if (!args[0]) throw new Error("Usage: archive.mjs show <YYYY-MM-DD> [roomId]");
+      return show(args[0], args[1]);
+    case "rerun":
+      if (!args[0]) throw new Error("Usage: archive.mjs rerun <YYYY-MM-DD> [out.json]");
+      return rerun(args[0], args[1]);
+    default:
+      throw new Error("Usage: archive.mjs <store|list|show|rerun> …");
+  }
+}
+
+// Only run when executed directly, not when imported by analytics.mjs
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    console.error("archive.mjs failed:", err.message || err);
+    process.exit(1);
+  });
+}
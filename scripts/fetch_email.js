@@ -2,9 +2,11 @@
 import 'dotenv/config';
 import { ImapFlow } from 'imapflow';
 import pino from 'pino';
-import { simpleParser } from 'mailparser';
-import { mkdirSync, writeFileSync } from 'node:fs';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
 import { dirname } from 'node:path';
+import { notify } from './notify.mjs';
+import { readEvents } from '../events-schema.mjs';
+import { dateKey, toDate, parseClock } from '../schedule.mjs';
 
 const log = pino({
   level: process.env.LOG_LEVEL || 'info',
@@ -21,16 +23,67 @@ const IMAP_USER   = process.env.IMAP_USER   || 'raecroominfo.board@gmail.com';
 const IMAP_PASS   = process.env.IMAP_PASS; // REQUIRED
 
 const OUT_CSV     = process.env.OUT_CSV || 'data/inbox/latest.csv';
+// Sidecar describing where OUT_CSV came from; transform.mjs reads the
+// email date from it to date the report.
+const OUT_META    = process.env.OUT_META || OUT_CSV.replace(/\.[^./\\]+$/, '') + '.meta.json';
 
-if (!IMAP_PASS) {
+// `--published`: the report fetched last has been transformed and published;
+// only updates STATE_FILE (see below), no IMAP needed
+const PUBLISHED   = process.argv.includes('--published');
+
+if (!IMAP_PASS && !PUBLISHED) {
   log.error('No password configured. Set IMAP_PASS as a secret/environment variable.');
   process.exit(1);
 }
 
 const SEARCH_SUBJECT     = process.env.SEARCH_SUBJECT || 'AC Daily Facility';
+const SEARCH_FROM        = process.env.SEARCH_FROM || ''; // optional sender filter
 const SEARCH_DAYS        = Number(process.env.SEARCH_DAYS || 30);
 const SEARCH_IN_ALLMAIL  = (process.env.SEARCH_IN_ALLMAIL || 'true') === 'true';
 
+// How to search:
+//   auto      Gmail raw queries if the server advertises X-GM-EXT-1, else standard
+//   gmail     always use X-GM-RAW (fails on servers without the extension)
+//   standard  plain IMAP SEARCH (SUBJECT / SINCE / FROM) — Exchange, Dovecot, …
+const SEARCH_MODE        = (process.env.SEARCH_MODE || 'auto').toLowerCase();
+// Folders to search, comma-separated. Default: INBOX, plus the "All Mail"
+// (\All special-use) folder when the server has one and SEARCH_IN_ALLMAIL is on.
+const IMAP_FOLDERS       = (process.env.IMAP_FOLDERS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Only attachments from these senders count: comma-separated addresses, or
+// "@example.org" for a whole domain. Empty accepts anyone (with a warning),
+// except in CI, where it's an error rather than an open door.
+const ALLOWED_SENDERS    = (process.env.ALLOWED_SENDERS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+// From is easy to forge, so an allowed sender also needs a DKIM, SPF or DMARC
+// pass for its domain in the Authentication-Results header the receiving
+// server added (the topmost one, or the one from AUTHSERV_ID, e.g.
+// "mx.google.com", when set). REQUIRE_SENDER_AUTH=false skips the check for
+// servers that don't add the header.
+const REQUIRE_SENDER_AUTH = (process.env.REQUIRE_SENDER_AUTH || 'true') === 'true';
+const AUTHSERV_ID        = (process.env.AUTHSERV_ID || '').trim().toLowerCase();
+// Attachment file names that count as the report (case-insensitive regex);
+// transform.mjs reads CSV and Excel workbooks alike
+const ATTACHMENT_PATTERN = new RegExp(process.env.ATTACHMENT_PATTERN || '\\.(csv|xlsx?)$', 'i');
+
+// UIDVALIDITY and the last UID looked at, per folder, plus the last report
+// saved — each run only searches and fetches mail that arrived since.
+// A newly fetched report is only `pending` there: runs keep fetching it
+// again until `--published` confirms it was transformed and published.
+const STATE_FILE         = process.env.STATE_FILE || 'data/state/fetch-state.json';
+
+// Today's report must have arrived after REPORT_WINDOW_START (local time).
+// An older one is never republished; once REPORT_DEADLINE has passed, staff
+// are alerted (scripts/notify.mjs) and OUT_JSON is marked stale for the board.
+// REQUIRE_TODAY=false takes the newest report whatever its date (manual runs).
+const REPORT_WINDOW_START = process.env.REPORT_WINDOW_START || '00:00';
+const REPORT_DEADLINE     = process.env.REPORT_DEADLINE     || '07:45';
+const REQUIRE_TODAY       = (process.env.REQUIRE_TODAY || 'true') === 'true';
+const OUT_JSON            = process.env.OUT_JSON || 'events.json';
+
+// Exit status when there's no new report (yet), as opposed to 1 for a
+// failure, so callers like scripts/ingest/email.mjs can tell them apart
+const EXIT_NO_REPORT = 2;
+
 // ---------- Helpers ----------
 function daysAgo(n) {
   const d = new Date();
@@ -39,60 +92,251 @@ function daysAgo(n) {
   return d;
 }
 
+// "07:45" -> today at 7:45 local
+function todayAt(hhmm) {
+  return toDate(dateKey(), parseClock(hhmm));
+}
+
+// Keep the published schedule, but flag it so the board can say so
+function markEventsStale(reason) {
+  if (!existsSync(OUT_JSON)) return;
+  try {
+    const data = readEvents(JSON.parse(readFileSync(OUT_JSON, 'utf8')));
+    data.stale = { reason, detectedAt: new Date().toISOString() };
+    writeFileSync(OUT_JSON, JSON.stringify(data, null, 2));
+    log.warn({ events: OUT_JSON }, 'Marked events.json stale');
+  } catch (err) {
+    log.error({ err }, `Could not mark ${OUT_JSON} stale`);
+  }
+}
+
+// Today's report isn't here. Before the deadline that's normal (a later run
+// will pick it up); after it, mark events.json stale and tell someone.
+async function reportMissing(reason, details = {}) {
+  if (new Date() < todayAt(REPORT_DEADLINE)) {
+    log.warn(`${reason} Not past the ${REPORT_DEADLINE} deadline yet; leaving events.json alone.`);
+    return;
+  }
+
+  log.error(reason);
+  markEventsStale(reason);
+  await notify({
+    subject: 'Daily facility report missing or late',
+    text:
+      `${reason}\n\nThe boards keep showing the last published schedule, marked as out of date. ` +
+      `Check that the "${SEARCH_SUBJECT}" email was sent to ${IMAP_USER}.`,
+    details: { mailbox: IMAP_USER, subject: SEARCH_SUBJECT, deadline: REPORT_DEADLINE, ...details }
+  });
+}
+
+function readState() {
+  try {
+    const state = JSON.parse(readFileSync(STATE_FILE, 'utf8'));
+    return { mailboxes: {}, lastReport: null, pending: null, ...state };
+  } catch {
+    return { mailboxes: {}, lastReport: null, pending: null };
+  }
+}
+
+function saveState(state) {
+  mkdirSync(dirname(STATE_FILE), { recursive: true });
+  writeFileSync(STATE_FILE, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+// Step outputs for the workflow (no-op outside GitHub Actions)
+function setOutput(name, value) {
+  if (process.env.GITHUB_OUTPUT) appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${value}\n`);
+}
+
 async function ensureOpen(client, mailbox) {
-  await client.mailboxOpen(mailbox, { readOnly: true });
+  return client.mailboxOpen(mailbox, { readOnly: true });
+}
+
+function useGmailSearch(client) {
+  if (SEARCH_MODE === 'gmail') return true;
+  if (SEARCH_MODE === 'standard') return false;
+  if (SEARCH_MODE !== 'auto') {
+    throw new Error(`Unknown SEARCH_MODE "${SEARCH_MODE}" (expected auto, gmail or standard)`);
+  }
+  return client.capabilities.has('X-GM-EXT-1');
 }
 
-async function searchRaw(client, mailbox, raw) {
+async function resolveFolders(client) {
+  if (IMAP_FOLDERS.length) return IMAP_FOLDERS;
+  if (!SEARCH_IN_ALLMAIL) return ['INBOX'];
+
+  // "[Gmail]/All Mail" on Gmail, "Archive"/"All Mail" elsewhere — whatever the server calls \All
+  const all = (await client.list()).find(f => f.specialUse === '\\All');
+  return ['INBOX', ...(all ? [all.path] : [])];
+}
+
+async function searchRaw(client, mailbox, raw, extra = {}) {
   await ensureOpen(client, mailbox);
-  const criteria = { 'x-gm-raw': raw };
-  const uids = (await client.search(criteria)) || [];
+  const criteria = { gmraw: raw, ...extra };
+  const uids = (await client.search(criteria, { uid: true })) || [];
   log.info(`[${mailbox}] RAW "${raw}" -> ${uids.length} matches`);
   return uids;
 }
 
-async function searchSince(client, mailbox, sinceDate) {
+async function searchSince(client, mailbox, sinceDate, extra = {}) {
   await ensureOpen(client, mailbox);
-  const criteria = { since: sinceDate };
-  const uids = (await client.search(criteria)) || [];
-  log.info(`[${mailbox}] SINCE ${sinceDate.toISOString().slice(0, 10)} -> ${uids.length} matches`);
+  const criteria = { since: sinceDate, ...extra };
+  const uids = (await client.search(criteria, { uid: true })) || [];
+  const terms = Object.entries(extra).map(([k, v]) => ` ${k.toUpperCase()} "${v}"`).join('');
+  log.info(`[${mailbox}] SINCE ${sinceDate.toISOString().slice(0, 10)}${terms} -> ${uids.length} matches`);
   return uids;
 }
 
-async function fetchMessages(client, mailbox, uids) {
+// Candidate UIDs in one folder: the report's subject first, then a wider net
+// (sender and attachment checks happen on the fetched headers).
+// With `sinceUid`, only messages from that UID on.
+async function searchFolder(client, mailbox, gmail, sinceUid = null) {
+  const from = SEARCH_FROM ? { from: SEARCH_FROM } : {};
+  const uid = sinceUid ? { uid: `${sinceUid}:*` } : {};
+
+  let uids;
+  if (gmail) {
+    const fromRaw     = SEARCH_FROM ? ` from:${SEARCH_FROM}` : '';
+    const newerThanRaw = `subject:"${SEARCH_SUBJECT}" has:attachment newer_than:${SEARCH_DAYS}d${fromRaw}`;
+    const wideRaw      = `has:attachment newer_than:${Math.max(SEARCH_DAYS * 2, 60)}d${fromRaw}`;
+    uids = [
+      ...(await searchRaw(client, mailbox, newerThanRaw, uid)),
+      ...(await searchRaw(client, mailbox, wideRaw, uid))
+    ];
+  } else {
+    uids = [
+      ...(await searchSince(client, mailbox, daysAgo(SEARCH_DAYS), { subject: SEARCH_SUBJECT, ...from, ...uid })),
+      ...(await searchSince(client, mailbox, daysAgo(Math.max(SEARCH_DAYS * 2, 60)), { ...from, ...uid }))
+    ];
+  }
+
+  // "N:*" always matches the newest message, even when it's older than N
+  return [...new Set(uids)].filter(u => !sinceUid || u >= sinceUid);
+}
+
+// Attachment parts of a BODYSTRUCTURE tree: { part, filename, type, size }
+function listAttachments(node, out = []) {
+  if (!node) return out;
+  const filename = node.dispositionParameters?.filename || node.parameters?.name || '';
+  if (filename && !node.childNodes) {
+    out.push({ part: node.part || '1', filename, type: node.type, size: node.size || 0 });
+  }
+  for (const child of node.childNodes || []) listAttachments(child, out);
+  return out;
+}
+
+// Headers and structure only — bodies are downloaded for the chosen report alone
+async function fetchCandidates(client, mailbox, uids) {
   if (!Array.isArray(uids) || uids.length === 0) return [];
   await ensureOpen(client, mailbox);
-  const sorted = [...uids].sort((a, b) => b - a); // newest first
   const out = [];
-  for (const uid of sorted) {
-    const msg = await client.fetchOne(uid, { source: true, envelope: true, internalDate: true, uid: true });
-    if (!msg?.source) continue;
-    const parsed = await simpleParser(msg.source);
+  const query = { uid: true, envelope: true, bodyStructure: true, internalDate: true, headers: ['authentication-results'] };
+  for await (const msg of client.fetch(uids.join(','), query, { uid: true })) {
     out.push({
       mailbox,
-      uid,
-      subject: parsed.subject || msg.envelope?.subject || '',
+      uid: msg.uid,
+      subject: msg.envelope?.subject || '',
+      from: (msg.envelope?.from?.[0]?.address || '').toLowerCase(),
       date: msg.internalDate,
-      attachments: parsed.attachments || []
+      authResults: authenticationResults(msg.headers),
+      attachments: listAttachments(msg.bodyStructure)
     });
   }
   return out;
 }
 
-function pickCsvAttachments(messages) {
+// Raw header block -> the Authentication-Results values, top to bottom
+function authenticationResults(headers) {
+  if (!headers) return [];
+  return headers
+    .toString()
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .filter(line => /^authentication-results:/i.test(line))
+    .map(line => line.slice(line.indexOf(':') + 1).trim());
+}
+
+function isAllowedSender(address) {
+  if (!ALLOWED_SENDERS.length) return true;
+  return ALLOWED_SENDERS.some(s => (s.startsWith('@') ? address.endsWith(s) : address === s));
+}
+
+// "mx.google.com; dkim=pass header.i=@example.org; spf=fail …" -> did DKIM,
+// SPF or DMARC pass for the From address's domain (or a parent of it)?
+function isAuthenticated(m) {
+  if (!REQUIRE_SENDER_AUTH || !ALLOWED_SENDERS.length) return true;
+  const domain = m.from.split('@')[1] || '';
+  const aligned = d => !!d && (domain === d || domain.endsWith(`.${d}`));
+
+  const header = AUTHSERV_ID
+    ? m.authResults.find(h => h.split(';')[0].trim().toLowerCase() === AUTHSERV_ID)
+    : m.authResults[0];
+  if (!header) return false;
+
+  return header.split(';').slice(1).some(result => {
+    const method = /^\s*(dkim|spf|dmarc)\s*=\s*pass\b/i.exec(result)?.[1]?.toLowerCase();
+    if (!method) return false;
+    const props = Object.fromEntries(
+      Array.from(result.matchAll(/\b([a-z]+\.[a-z-]+)=("[^"]*"|\S+)/gi), p => [p[1].toLowerCase(), p[2].replace(/"/g, '').toLowerCase()])
+    );
+    if (method === 'dkim') return aligned(props['header.d'] || props['header.i']?.split('@').pop());
+    if (method === 'spf') return aligned(props['smtp.mailfrom']?.split('@').pop() || props['smtp.helo']);
+    return aligned(props['header.from']);
+  });
+}
+
+function pickReportAttachments(messages) {
   return messages
-    .flatMap(m => (m.attachments || []).map(att => ({ msg: m, att })))
-    .filter(({ att }) => {
-      const name = (att.filename || '').toLowerCase();
-      const type = (att.contentType || '').toLowerCase();
-      return name.endsWith('.csv') || type.includes('text/csv') || type.includes('application/vnd.ms-excel');
+    .filter(m => {
+      const hasReport = m.attachments.some(att => ATTACHMENT_PATTERN.test(att.filename));
+      if (!isAllowedSender(m.from)) {
+        if (hasReport) log.warn({ uid: m.uid, from: m.from, subject: m.subject }, 'Ignoring attachment from a sender not in ALLOWED_SENDERS');
+        return false;
+      }
+      if (!isAuthenticated(m)) {
+        if (hasReport) {
+          log.warn(
+            { uid: m.uid, from: m.from, subject: m.subject, authResults: m.authResults[0] || null },
+            'Ignoring attachment: no DKIM/SPF/DMARC pass for the sender\'s domain in Authentication-Results'
+          );
+        }
+        return false;
+      }
+      return true;
     })
+    .flatMap(m => m.attachments.map(att => ({ msg: m, att })))
+    .filter(({ att }) => ATTACHMENT_PATTERN.test(att.filename))
     .sort((a, b) => new Date(b.msg.date) - new Date(a.msg.date));
 }
 
+async function downloadAttachment(client, { msg, att }) {
+  await ensureOpen(client, msg.mailbox);
+  const { content } = await client.download(String(msg.uid), att.part, { uid: true });
+  const chunks = [];
+  for await (const chunk of content) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Move the saved position past the pending report (`--published`)
+function commitPending() {
+  const state = readState();
+  if (!state.pending) {
+    log.warn({ state: STATE_FILE }, 'No pending report to mark as published.');
+    return;
+  }
+  const { mailboxes, lastReport } = state.pending;
+  saveState({ mailboxes: { ...state.mailboxes, ...mailboxes }, lastReport, pending: null });
+  log.info({ lastReport, state: STATE_FILE }, 'Marked the report as published');
+}
+
 // ---------- Main ----------
+if (PUBLISHED) {
+  commitPending();
+  process.exit(0);
+}
+
 (async () => {
-  log.info(`Connecting to Gmail as ${IMAP_USER}…`);
+  log.info(`Connecting to ${IMAP_HOST}:${IMAP_PORT} as ${IMAP_USER}…`);
 
   const client = new ImapFlow({
     host: IMAP_HOST,
@@ -103,30 +347,39 @@ function pickCsvAttachments(messages) {
   });
 
   try {
-    await client.connect();
+    if (!ALLOWED_SENDERS.length) {
+      if (process.env.CI) {
+        throw new Error('ALLOWED_SENDERS is not set; refusing to accept report attachments from any sender in CI.');
+      }
+      log.warn('ALLOWED_SENDERS is not set; accepting report attachments from any sender.');
+    }
 
-    const mailboxes = ['INBOX', ...(SEARCH_IN_ALLMAIL ? ['[Gmail]/All Mail'] : [])];
+    await client.connect();
 
-    const newerThanRaw = `subject:"${SEARCH_SUBJECT}" has:attachment newer_than:${SEARCH_DAYS}d`;
-    const wideRaw      = `has:attachment newer_than:${Math.max(SEARCH_DAYS * 2, 60)}d`;
-    const sinceDate    = daysAgo(Math.max(SEARCH_DAYS * 3, 90));
+    const state = readState();
+    const gmail = useGmailSearch(client);
+    const mailboxes = await resolveFolders(client);
+    log.info({ mode: gmail ? 'gmail' : 'standard', folders: mailboxes }, 'Searching for the report');
 
-    // Collect UIDs per mailbox
-    const uidMap = new Map(); // mailbox -> Set(uids)
+    // Headers of the messages that arrived since the last run, per mailbox,
+    // and how far each was searched
+    const allMessages = [];
+    const searched = {};
     for (const m of mailboxes) {
-      const u1 = await searchRaw(client, m, newerThanRaw);
-      const u2 = await searchRaw(client, m, wideRaw);
-      const u3 = await searchSince(client, m, sinceDate);
-      uidMap.set(m, new Set([...(u1 || []), ...(u2 || []), ...(u3 || [])]));
-    }
+      const box = await ensureOpen(client, m);
+      const uidValidity = String(box.uidValidity);
+      const prev = state.mailboxes[m];
+      const sinceUid = prev?.uidValidity === uidValidity ? prev.lastUid + 1 : null;
+      if (prev && !sinceUid) log.warn(`[${m}] UIDVALIDITY changed; searching the whole window again`);
+
+      const uids = await searchFolder(client, m, gmail, sinceUid);
+      log.info(`[${m}] ${uids.length} new message(s)${sinceUid ? ` since UID ${sinceUid - 1}` : ''}`);
+      allMessages.push(...(await fetchCandidates(client, m, uids)));
 
-    // Fetch exactly those UIDs per mailbox
-    let allMessages = [];
-    for (const [mbox, set] of uidMap.entries()) {
-      const list = Array.from(set);
-      if (list.length === 0) continue;
-      const msgs = await fetchMessages(client, mbox, list);
-      allMessages.push(...msgs);
+      searched[m] = {
+        uidValidity,
+        lastUid: Math.max(sinceUid ? prev.lastUid : 0, ...uids, Number(box.uidNext || 1) - 1)
+      };
     }
 
     // De-dup cross-mailbox by subject+date
@@ -141,41 +394,80 @@ function pickCsvAttachments(messages) {
     }
     unique.sort((a, b) => new Date(b.date) - new Date(a.date));
 
-    const csvs = pickCsvAttachments(unique);
-    if (csvs.length === 0) {
-      log.warn('No CSV attachment found in candidate messages.');
-      process.exit(1);
+    // With no report to publish there's nothing to come back for: everything
+    // searched is done with (including a pending report that's gone stale)
+    const passed = { ...state, mailboxes: { ...state.mailboxes, ...searched }, pending: null };
+
+    const reports = pickReportAttachments(unique);
+    if (reports.length === 0) {
+      saveState(passed);
+      const last = state.lastReport;
+      if (last && new Date(last.date) >= todayAt(REPORT_WINDOW_START)) {
+        log.info({ lastReport: last }, "No new report since the last run; today's was already fetched.");
+        setOutput('new_report', 'false');
+        return;
+      }
+      await reportMissing('No new report email with a matching attachment from an allowed, authenticated sender.', {
+        lastReport: last
+      });
+      process.exitCode = EXIT_NO_REPORT;
+      return;
     }
 
-    const latest = csvs[0];
-    const bytes = latest.att.content?.length || 0;
+    const latest = reports[0];
+    const receivedAt = new Date(latest.msg.date);
+    if (REQUIRE_TODAY && receivedAt < todayAt(REPORT_WINDOW_START)) {
+      saveState(passed);
+      await reportMissing(
+        `No report received today; the newest is from ${receivedAt.toString()}.`,
+        { newest: { uid: latest.msg.uid, subject: latest.msg.subject, date: receivedAt.toISOString() } }
+      );
+      process.exitCode = EXIT_NO_REPORT;
+      return;
+    }
+
+    const content = await downloadAttachment(client, latest);
     const outPath = OUT_CSV;
 
     // Ensure folder exists, then write
     mkdirSync(dirname(outPath), { recursive: true });
-    writeFileSync(outPath, latest.att.content);
+    writeFileSync(outPath, content);
+
+    const meta = {
+      source: 'email',
+      mailbox: latest.msg.mailbox,
+      uid: latest.msg.uid,
+      from: latest.msg.from,
+      subject: latest.msg.subject,
+      date: receivedAt.toISOString(),
+      attachment: latest.att.filename || null
+    };
+    mkdirSync(dirname(OUT_META), { recursive: true });
+    writeFileSync(OUT_META, JSON.stringify(meta, null, 2));
+
+    // Held until `--published`: if the transform fails, the next run
+    // searches from the same place and fetches this report again
+    saveState({ ...state, pending: { mailboxes: searched, lastReport: meta } });
+    setOutput('new_report', 'true');
 
     log.info(
       {
-        mailbox: latest.msg.mailbox,
-        uid: latest.msg.uid,
-        subject: latest.msg.subject,
-        date: latest.msg.date,
-        attachment: latest.att.filename || '(no name)',
-        size: bytes,
-        saved: outPath
+        ...meta,
+        size: content.length,
+        saved: outPath,
+        meta: OUT_META,
+        state: STATE_FILE
       },
-      'Saved latest CSV attachment'
+      'Saved latest report attachment'
     );
-
-    process.exit(0);
   } catch (err) {
     if (err?.authenticationFailed || /No password configured/i.test(String(err))) {
       log.error('Authentication failed: IMAP_PASS is missing or incorrect.');
     } else {
       log.error({ err }, 'Failed to fetch email.');
     }
-    process.exit(1);
+    await reportMissing(`Fetching the report failed: ${err?.message || err}`);
+    process.exitCode = 1;
   } finally {
     try { await client.logout(); } catch {}
   }
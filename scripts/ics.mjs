@@ -0,0 +1,217 @@
+// ics.mjs
+// Exports events.json as iCalendar (.ics) feeds people can subscribe to:
+//   calendars/facility.ics         everything
+//   calendars/cluster-<id>.ics     one per cluster (south, fieldhouse, north)
+//   calendars/room-<id>.ics        one per room in facility-config.mjs
+//
+// Each booking gets a UID built from its date, start time, first room and
+// reservation id (see loadSlotsFromCsv), not from its title, so re-running
+// the build or renaming a booking updates events in subscribers' calendars
+// instead of duplicating them, and a booking has the same UID in its room's
+// feed as in the cluster and facility feeds. In those feeds a booking that
+// spans several rooms (e.g. a full gym) is one event listing all of them. A booking that runs past midnight (split
+// into one slot per day in events.json) is one event again.
+//
+// Staff overrides (overrides.json, see overrides.mjs) are applied as of
+// the build, so hidden bookings stay out of the feeds and blocks show up;
+// later edits reach the feeds with the next build.
+//
+// Times are converted to UTC using the process time zone, so run it with
+// TZ=America/Chicago like the rest of the build.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import { FACILITY_CONFIG } from "../facility-config.mjs";
+import { applyOverrides, assertValidOverrides } from "../overrides.mjs";
+import { dateKey, toDate } from "../schedule.mjs";
+
+const IN_JSON = process.env.OUT_JSON || "./events.json";
+const OVERRIDES_JSON = process.env.OVERRIDES_JSON || "./overrides.json";
+const OUT_DIR = process.env.OUT_ICS_DIR || "./calendars";
+const UID_DOMAIN = "raec-rooms-board";
+const FACILITY_NAME = "RAEC";
+
+// ---------- iCalendar helpers ----------
+
+function escapeText(s) {
+  return String(s || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line
+// after a single leading space
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    const limit = parts.length ? 74 : 75;
+    if (size + len > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// ("2025-11-03", 1170) -> "20251104T013000Z"
+function toUtcStamp(dateKey, minutes) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return formatUtc(new Date(y, m - 1, d, 0, minutes));
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function slug(id) {
+  return String(id).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+// ---------- Events ----------
+
+// Join the per-day halves transform.mjs makes of an overnight booking:
+// a slot ending at midnight and the same booking from midnight the next
+// day become one slot whose endMin runs past 1440
+function joinOvernight(slots, fallbackDate) {
+  const sorted = slots
+    .map((s) => ({ ...s, date: s.date || fallbackDate }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin);
+
+  const joined = [];
+  const open = new Map(); // "room|title|subtitle|date it continues on" -> slot ending at midnight
+  const key = (s, date) => [s.roomId, s.title, s.subtitle || "", date].join("|");
+
+  for (const slot of sorted) {
+    const prev = slot.startMin === 0 ? open.get(key(slot, slot.date)) : null;
+    if (prev) {
+      open.delete(key(slot, slot.date));
+      prev.endMin += slot.endMin;
+    } else {
+      joined.push(slot);
+    }
+
+    const current = prev || slot;
+    if (current.endMin % 1440 === 0) {
+      open.set(key(current, dateKey(toDate(current.date, current.endMin))), current);
+    }
+  }
+  return joined;
+}
+
+// Collapse slots that are the same booking in several rooms
+function toBookings(slots, fallbackDate) {
+  const map = new Map();
+  for (const s of slots) {
+    const date = s.date || fallbackDate;
+    const key = [date, s.startMin, s.endMin, s.title, s.subtitle].join("|");
+    if (!map.has(key)) map.set(key, { ...s, date, roomIds: [] });
+    map.get(key).roomIds.push(s.roomId);
+  }
+  return Array.from(map.values());
+}
+
+function buildEvent(booking, labels, dtstamp) {
+  const rooms = booking.roomIds.map((id) => labels.get(id) || id);
+  // Slots placed by an override have no reservation; older events.json
+  // files have neither, so the title is the last resort
+  const reservation = booking.reservation || (booking.override ? `override:${booking.override}` : booking.title);
+  const uidSource = [booking.date, [...booking.roomIds].sort()[0], booking.startMin, reservation].join("|");
+  const uid = crypto.createHash("sha1").update(uidSource).digest("hex");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART:${toUtcStamp(booking.date, booking.startMin)}`,
+    `DTEND:${toUtcStamp(booking.date, booking.endMin)}`,
+    `SUMMARY:${escapeText(booking.title || "Reserved")}`,
+    ...(booking.subtitle ? [`DESCRIPTION:${escapeText(booking.subtitle)}`] : []),
+    `LOCATION:${escapeText(`${FACILITY_NAME} ${rooms.join(", ")}`)}`,
+    "STATUS:CONFIRMED",
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+  ];
+}
+
+function buildCalendar(name, bookings, labels, dtstamp) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//RAEC//Rooms Board//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(process.env.TZ ? [`X-WR-TIMEZONE:${process.env.TZ}`] : []),
+    ...bookings.flatMap((b) => buildEvent(b, labels, dtstamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ---------- Main ----------
+
+function readOverrides() {
+  if (!fs.existsSync(OVERRIDES_JSON)) return [];
+  const data = assertValidOverrides(JSON.parse(fs.readFileSync(OVERRIDES_JSON, "utf8")));
+  return data.overrides || [];
+}
+
+async function run() {
+  const data = JSON.parse(fs.readFileSync(IN_JSON, "utf8"));
+  const fallbackDate = data.reportDate || new Date().toISOString().slice(0, 10);
+  const published = applyOverrides(Array.isArray(data.slots) ? data.slots : [], readOverrides());
+  const slots = joinOvernight(published, fallbackDate);
+  const dtstamp = formatUtc(data.generatedAt ? new Date(data.generatedAt) : new Date());
+  const labels = new Map(FACILITY_CONFIG.rooms.map((r) => [r.id, r.label]));
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  const feeds = [{ file: "facility.ics", name: `${FACILITY_NAME} – All rooms`, roomIds: null }];
+
+  for (const cluster of FACILITY_CONFIG.clusters) {
+    const layouts = cluster.seasons ? Object.values(cluster.seasons) : [cluster];
+    feeds.push({
+      file: `cluster-${slug(cluster.id)}.ics`,
+      name: `${FACILITY_NAME} – ${cluster.title}`,
+      roomIds: new Set(layouts.flatMap((l) => l.rooms)),
+    });
+  }
+
+  for (const room of FACILITY_CONFIG.rooms) {
+    feeds.push({
+      file: `room-${slug(room.id)}.ics`,
+      name: `${FACILITY_NAME} – ${room.label}`,
+      roomIds: new Set([room.id]),
+    });
+  }
+
+  for (const feed of feeds) {
+    const feedSlots = feed.roomIds ? slots.filter((s) => feed.roomIds.has(s.roomId)) : slots;
+    const bookings = toBookings(feedSlots, fallbackDate);
+    fs.writeFileSync(path.join(OUT_DIR, feed.file), buildCalendar(feed.name, bookings, labels, dtstamp));
+  }
+
+  console.log(`Wrote ${feeds.length} calendar feeds (${slots.length} slots) to ${OUT_DIR}`);
+}
+
+// Only run when executed directly (`node scripts/ics.mjs`)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  run().catch((err) => {
+    console.error("ics.mjs failed:", err.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,87 @@
+// ingest.mjs
+// Gets the daily report from wherever it comes from and runs transform.mjs
+// on it. Each adapter (scripts/ingest/*.mjs) saves the report to OUT_CSV with
+// a meta sidecar naming its source, which ends up in events.json's `source`.
+//
+//   email   the morning report email (scripts/fetch_email.js)
+//   folder  newest file in a local drop folder (DROP_DIR)
+//   url     an http(s) or sftp URL (INGEST_URL)
+//   upload  pasted/uploaded on the admin page (server.mjs only)
+//
+// Usage:
+//   node scripts/ingest.mjs <email|folder|url> [--no-transform]
+//   node scripts/ingest.mjs folder --watch      keep ingesting files as they are dropped
+//
+// Exits 0 with nothing written when the source has no new report.
+
+import { pathToFileURL } from "url";
+import { run as transform } from "./transform.mjs";
+import * as email from "./ingest/email.mjs";
+import * as folder from "./ingest/folder.mjs";
+import * as url from "./ingest/url.mjs";
+import * as upload from "./ingest/upload.mjs";
+
+export const ADAPTERS = { email, folder, url, upload };
+
+function adapterFor(name) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown ingest source "${name}" (expected one of ${Object.keys(ADAPTERS).join(", ")})`);
+  }
+  return adapter;
+}
+
+async function publish(input, transformOptions) {
+  return transform({ inputCsv: input.csv, inputMeta: input.meta, ...transformOptions });
+}
+
+/**
+ * Pull a report from one source and transform it.
+ * `pullOptions` go to the adapter (e.g. { content, filename } for upload);
+ * `transformOptions` to transform.mjs run() (e.g. { outputJson }), or
+ * `transform: false` to only save the input.
+ * Returns { input, data }, or null when the source has nothing new.
+ */
+export async function ingest(name, { pullOptions, transform: runTransform = true, ...transformOptions } = {}) {
+  const adapter = adapterFor(name);
+  const input = await adapter.pull(pullOptions);
+  if (!input) return null;
+
+  const data = runTransform ? await publish(input, transformOptions) : null;
+  // Sources keep offering a report until it's been published (or saved,
+  // with transform: false), so one that fails to build is tried again
+  await adapter.published?.(input);
+  return { input, data };
+}
+
+// ---------- Main ----------
+
+async function main() {
+  const args = process.argv.slice(2);
+  const name = args.find((a) => !a.startsWith("--"));
+  const watch = args.includes("--watch");
+  const runTransform = !args.includes("--no-transform");
+
+  if (!name) throw new Error("Usage: ingest.mjs <email|folder|url> [--watch] [--no-transform]");
+  if (name === "upload") throw new Error("upload reports come from the admin page (npm run serve)");
+
+  if (watch) {
+    if (name !== "folder") throw new Error("--watch only works with the folder source");
+    folder.watch(async (input) => {
+      if (runTransform) await publish(input);
+      await folder.published(input);
+    });
+    return;
+  }
+
+  const result = await ingest(name, { transform: runTransform });
+  if (!result) console.log(`No new report from ${name}.`);
+}
+
+// Only run when executed directly (`node scripts/ingest.mjs`), not on import
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    console.error("ingest.mjs failed:", err.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,46 @@
+// ingest/email.mjs
+// The morning report email. fetch_email.js stays the standalone step the
+// workflow runs (it owns IMAP, the UID state and the missing-report alerts);
+// this adapter runs it and reports whether it saved a new attachment, and
+// once that has been transformed, tells it to move past the report.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { OUT_CSV, OUT_META } from "./input.mjs";
+
+const FETCH_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fetch_email.js");
+// fetch_email.js's exit status for "no new report yet" (it has already
+// alerted if that's past the deadline)
+const EXIT_NO_REPORT = 2;
+
+// Run fetch_email.js with its output on ours -> its exit status (or signal)
+function runFetch(args = [], env = process.env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [FETCH_SCRIPT, ...args], { stdio: "inherit", env });
+    child.on("error", reject);
+    child.on("close", (code, signal) => resolve(code ?? signal));
+  });
+}
+
+export async function pull() {
+  // fetch_email.js says whether it saved something new via a step output
+  const outputFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "ingest-")), "output");
+  fs.writeFileSync(outputFile, "");
+
+  const status = await runFetch([], { ...process.env, OUT_CSV, OUT_META, GITHUB_OUTPUT: outputFile });
+  const output = fs.readFileSync(outputFile, "utf8");
+  fs.rmSync(path.dirname(outputFile), { recursive: true, force: true });
+
+  if (status === EXIT_NO_REPORT) return null;
+  if (status !== 0) throw new Error(`fetch_email.js exited with ${status}`);
+  if (!/^new_report=true$/m.test(output)) return null;
+  return { csv: OUT_CSV, meta: OUT_META };
+}
+
+export async function published() {
+  const status = await runFetch(["--published"]);
+  if (status !== 0) throw new Error(`fetch_email.js --published exited with ${status}`);
+}
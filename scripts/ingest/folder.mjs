@@ -0,0 +1,100 @@
+// ingest/folder.mjs
+// A local drop folder: staff (or another system) save the export into
+// DROP_DIR and the newest matching file is ingested. Once it has been
+// published it is moved to DROP_DIR/processed/ so it is never picked up
+// twice; until then (say the transform failed) it stays and is tried again.
+//
+//   DROP_DIR        folder to read (default ./data/drop)
+//   INGEST_PATTERN  file names to accept, case-insensitive regex (default \.(csv|xlsx?)$)
+
+import fs from "fs";
+import path from "path";
+import { writeInput } from "./input.mjs";
+
+export const DROP_DIR = process.env.DROP_DIR || "./data/drop";
+const PATTERN = new RegExp(process.env.INGEST_PATTERN || "\\.(csv|xlsx?)$", "i");
+const SETTLE_MS = 1000;
+
+// The file pull() handed over, moved away by published()
+let pending = null;
+
+function candidates() {
+  if (!fs.existsSync(DROP_DIR)) return [];
+  return fs
+    .readdirSync(DROP_DIR, { withFileTypes: true })
+    .filter((e) => e.isFile() && PATTERN.test(e.name) && !e.name.startsWith("."))
+    .map((e) => {
+      const file = path.join(DROP_DIR, e.name);
+      return { name: e.name, file, stat: fs.statSync(file) };
+    })
+    .sort((a, b) => b.stat.mtimeMs - a.stat.mtimeMs);
+}
+
+export async function pull() {
+  const [newest, ...older] = candidates();
+  if (!newest) {
+    console.log(`No report in ${DROP_DIR}`);
+    return null;
+  }
+  if (older.length) {
+    console.warn(`Using ${newest.name}; ${older.length} older file(s) in ${DROP_DIR} are left alone`);
+  }
+
+  const input = writeInput(fs.readFileSync(newest.file), {
+    source: "folder",
+    path: path.resolve(newest.file),
+    attachment: newest.name,
+    date: newest.stat.mtime.toISOString(),
+  });
+
+  pending = newest;
+  return input;
+}
+
+export async function published() {
+  if (!pending) return;
+  const processed = path.join(DROP_DIR, "processed");
+  fs.mkdirSync(processed, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  fs.renameSync(pending.file, path.join(processed, `${stamp}-${pending.name}`));
+  pending = null;
+}
+
+/**
+ * Call `onInput` for each file dropped into DROP_DIR, once it has stopped
+ * growing (copies over SMB/Dropbox land in pieces). `onInput` calls
+ * published() once the report is out; a file it fails on stays put.
+ */
+export function watch(onInput) {
+  fs.mkdirSync(DROP_DIR, { recursive: true });
+  console.log(`Watching ${DROP_DIR} for ${PATTERN} …`);
+
+  let timer = null;
+  let busy = false;
+  const settle = () => {
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      // Moving a file to processed/ fires an event too
+      if (!candidates().length) return;
+      const sizes = candidates().map((c) => c.stat.size).join(",");
+      await new Promise((r) => setTimeout(r, SETTLE_MS));
+      if (candidates().map((c) => c.stat.size).join(",") !== sizes) return settle();
+      if (busy) return settle();
+
+      busy = true;
+      try {
+        const input = await pull();
+        if (input) await onInput(input);
+      } catch (err) {
+        console.error("Drop folder ingest failed:", err);
+      } finally {
+        busy = false;
+      }
+    }, SETTLE_MS);
+  };
+
+  fs.watch(DROP_DIR, (_type, filename) => {
+    if (filename && PATTERN.test(filename)) settle();
+  });
+  settle(); // anything already waiting
+}
@@ -0,0 +1,29 @@
+// ingest/input.mjs
+// Where every ingest adapter leaves the report for transform.mjs: the raw
+// file at OUT_CSV plus a meta sidecar (same shape fetch_email.js writes)
+// saying where it came from. transform.mjs copies the sidecar into
+// events.json's `source`.
+
+import fs from "fs";
+import path from "path";
+import { metaPathFor } from "../transform.mjs";
+
+export const OUT_CSV = process.env.OUT_CSV || "data/inbox/latest.csv";
+export const OUT_META = process.env.OUT_META || metaPathFor(OUT_CSV);
+
+/**
+ * Save a report and its sidecar.
+ * `meta.source` names the adapter ("email", "folder", "url", "upload");
+ * `meta.date` is when the report was received (used to date it).
+ * Returns { csv, meta } paths for transform.mjs.
+ */
+export function writeInput(content, meta, { csv = OUT_CSV, metaPath = OUT_META } = {}) {
+  fs.mkdirSync(path.dirname(csv), { recursive: true });
+  fs.writeFileSync(csv, content);
+
+  fs.mkdirSync(path.dirname(metaPath), { recursive: true });
+  fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+
+  console.log(`Saved ${meta.source} input (${content.length} bytes) to ${csv}`);
+  return { csv, meta: metaPath };
+}
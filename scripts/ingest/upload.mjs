@@ -0,0 +1,21 @@
+// ingest/upload.mjs
+// A report pasted or uploaded on the admin page (admin.html → server.mjs
+// POST /api/admin/upload). Used when the email didn't come and someone
+// exports the report by hand.
+
+import path from "path";
+import { writeInput } from "./input.mjs";
+
+export async function pull({ content, filename = null, uploadedBy = null } = {}) {
+  if (content == null || content.length === 0) {
+    throw new Error("upload ingest needs the report content");
+  }
+
+  return writeInput(content, {
+    source: "upload",
+    // Only the name: browsers don't send the client path, and it could be anything
+    attachment: filename ? path.basename(String(filename)) : null,
+    uploadedBy,
+    date: new Date().toISOString(),
+  });
+}
@@ -0,0 +1,154 @@
+// ingest/url.mjs
+// Pull the report from a URL the booking system (or a file server) publishes.
+//
+//   INGEST_URL          http(s)://… or sftp://host/path/report.csv
+//   INGEST_TOKEN        http(s): sent as "Authorization: Bearer …" (optional)
+//   INGEST_USER, INGEST_PASS
+//                       http(s): basic auth (or user:pass@ in the URL); sftp: login (optional)
+//   INGEST_KEY          sftp: private key file, instead of INGEST_PASS
+//   INGEST_STATE_FILE   remembers what was last pulled (default ./data/state/url-state.json)
+//
+// http(s) uses conditional requests (ETag / Last-Modified), so an unchanged
+// report costs a 304. sftp goes through the curl CLI (built with libssh2 on
+// GitHub's runners and most Linux boxes) rather than another dependency.
+// Either way a download identical to the last one is not ingested again.
+// What was pulled is only remembered once it has been published (see
+// published()), so a report that fails to build is pulled again next time.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { writeInput } from "./input.mjs";
+
+const STATE_FILE = process.env.INGEST_STATE_FILE || "./data/state/url-state.json";
+
+function readState() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function saveState(state) {
+  fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+  fs.writeFileSync(STATE_FILE, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+// For logs and events.json: never record credentials embedded in the URL
+function redact(url) {
+  const u = new URL(url);
+  u.username = "";
+  u.password = "";
+  return u.toString();
+}
+
+// ---------- Transports ----------
+
+async function fetchHttp(url, previous) {
+  const headers = {};
+  const { INGEST_TOKEN, INGEST_USER, INGEST_PASS } = process.env;
+  // fetch() refuses URLs with credentials in them; they go in the header
+  const { username, password } = new URL(url);
+  const user = INGEST_USER || decodeURIComponent(username);
+  const pass = INGEST_USER ? INGEST_PASS : decodeURIComponent(password);
+  if (INGEST_TOKEN) {
+    headers.Authorization = `Bearer ${INGEST_TOKEN}`;
+  } else if (user) {
+    headers.Authorization = `Basic ${Buffer.from(`${user}:${pass || ""}`).toString("base64")}`;
+  }
+  if (previous.etag) headers["If-None-Match"] = previous.etag;
+  if (previous.lastModified) headers["If-Modified-Since"] = previous.lastModified;
+
+  const res = await fetch(redact(url), { headers });
+  if (res.status === 304) return null;
+  if (!res.ok) throw new Error(`${redact(url)} returned HTTP ${res.status}`);
+
+  return {
+    content: Buffer.from(await res.arrayBuffer()),
+    etag: res.headers.get("etag"),
+    lastModified: res.headers.get("last-modified"),
+  };
+}
+
+async function fetchSftp(url) {
+  const { INGEST_USER, INGEST_PASS, INGEST_KEY } = process.env;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ingest-"));
+  const out = path.join(dir, "report");
+
+  const args = ["--silent", "--show-error", "--fail", "--output", out];
+  if (INGEST_USER) args.push("--user", INGEST_KEY ? INGEST_USER : `${INGEST_USER}:${INGEST_PASS || ""}`);
+  if (INGEST_KEY) args.push("--key", INGEST_KEY);
+  args.push(url);
+
+  try {
+    await promisify(execFile)("curl", args, { timeout: 120_000 });
+    return { content: fs.readFileSync(out) };
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error("sftp ingest needs the curl command");
+    throw new Error(`curl could not download ${redact(url)}: ${(err.stderr || err.message).trim()}`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const TRANSPORTS = {
+  "http:": fetchHttp,
+  "https:": fetchHttp,
+  "sftp:": fetchSftp,
+};
+
+// ---------- Adapter ----------
+
+// State for the report pull() handed over, saved by published()
+let pending = null;
+
+export async function pull({ url = process.env.INGEST_URL } = {}) {
+  if (!url) throw new Error("url ingest needs INGEST_URL");
+
+  const { protocol, pathname } = new URL(url);
+  const transport = TRANSPORTS[protocol];
+  if (!transport) {
+    throw new Error(`Unsupported INGEST_URL scheme "${protocol}" (expected http, https or sftp)`);
+  }
+
+  const state = readState();
+  const previous = state.url === redact(url) ? state : {};
+  const result = await transport(url, previous);
+  if (!result) {
+    console.log(`${redact(url)} has not changed since ${previous.pulledAt}`);
+    return null;
+  }
+
+  const sha256 = crypto.createHash("sha256").update(result.content).digest("hex");
+  if (sha256 === previous.sha256) {
+    console.log(`${redact(url)} is the same report as pulled at ${previous.pulledAt}`);
+    return null;
+  }
+
+  const pulledAt = new Date().toISOString();
+  const input = writeInput(result.content, {
+    source: "url",
+    url: redact(url),
+    attachment: path.posix.basename(pathname) || null,
+    date: pulledAt,
+  });
+
+  pending = {
+    url: redact(url),
+    etag: result.etag || null,
+    lastModified: result.lastModified || null,
+    sha256,
+    pulledAt,
+  };
+  return input;
+}
+
+export async function published() {
+  if (!pending) return;
+  saveState(pending);
+  pending = null;
+}
@@ -0,0 +1,76 @@
+// naming-preview.mjs
+// Shows what naming-rules.mjs does to a report: for each rule, the rows it
+// matched and the title / subtitle they get. Rows with the same reservee
+// and purpose (one reservation booked across several facilities) are listed
+// once with all their spreadsheet row numbers. Rules that matched nothing
+// are listed too.
+//
+// Usage:
+//   node scripts/naming-preview.mjs [report.csv|.xlsx] [--privacy=<mode>]
+//
+//   report     default IN_CSV, then ./data/input.csv
+//   --privacy  try another privacy.individuals mode without editing the rules
+//              (full, first-last-initial, initials, label)
+
+import { pathToFileURL } from "url";
+import { NAMING_RULES } from "../naming-rules.mjs";
+import { readReportRecords } from "./transform.mjs";
+import { nameReservation, validateNamingRules } from "./naming.mjs";
+
+function preview(file, config) {
+  validateNamingRules(config);
+  const { rows, format, sheet, headerRow } = readReportRecords(file);
+
+  // rule name -> Map("reservee||purpose" -> { reservee, purpose, rowNumbers, title, subtitle })
+  // (names as nameReservation reports them)
+  const byRule = new Map([
+    ...config.rules.map((r, i) => [r.name || `rules[${i}]`, new Map()]),
+    [config.fallback.name || "fallback", new Map()],
+  ]);
+  rows.forEach((row, i) => {
+    if (!row.reservee && !row.purpose) return;
+    const named = nameReservation(row.reservee, row.purpose, config);
+    const key = `${row.reservee}||${row.purpose}`;
+    const seen = byRule.get(named.rule);
+    if (!seen.has(key)) seen.set(key, { ...row, ...named, rowNumbers: [] });
+    // Spreadsheet row numbers: 1-based, after the header
+    seen.get(key).rowNumbers.push(headerRow + i + 2);
+  });
+
+  console.log(`${file} (${format}${sheet ? `, sheet "${sheet}"` : ""}): ${rows.length} rows`);
+  console.log(`privacy.individuals: ${config.privacy?.individuals || "full"}\n`);
+
+  const unused = [];
+  for (const [name, matches] of byRule) {
+    if (!matches.size) {
+      unused.push(name);
+      continue;
+    }
+    console.log(`== ${name} ==`);
+    for (const m of matches.values()) {
+      console.log(`  rows ${m.rowNumbers.join(", ")}`);
+      console.log(`    reservee: ${JSON.stringify(m.reservee)}  purpose: ${JSON.stringify(m.purpose)}`);
+      console.log(`    → title: ${JSON.stringify(m.title)}  subtitle: ${JSON.stringify(m.subtitle)}`);
+    }
+    console.log("");
+  }
+
+  if (unused.length) console.log(`Matched no rows: ${unused.join(", ")}`);
+}
+
+// Only run when executed directly (`node scripts/naming-preview.mjs`)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const file = args.find((a) => !a.startsWith("--")) || process.env.IN_CSV || "./data/input.csv";
+  const privacy = args.find((a) => a.startsWith("--privacy="))?.split("=")[1];
+  const config = privacy
+    ? { ...NAMING_RULES, privacy: { ...NAMING_RULES.privacy, individuals: privacy } }
+    : NAMING_RULES;
+
+  try {
+    preview(file, config);
+  } catch (err) {
+    console.error("naming-preview.mjs failed:", err.message || err);
+    process.exit(1);
+  }
+}
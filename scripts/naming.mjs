@@ -0,0 +1,191 @@
+// naming.mjs
+// Applies naming-rules.mjs: a reservation's reservee and purpose -> the
+// title and subtitle on the board. Used by transform.mjs and previewed by
+// naming-preview.mjs.
+
+import { NAMING_RULES } from "../naming-rules.mjs";
+
+export const PRIVACY_MODES = ["full", "first-last-initial", "initials", "label"];
+const MATCH_KEYS = ["reservee", "purpose", "any"];
+const TEMPLATE_FIELD = /\{([^{}]+)\}/g;
+
+// ---------- Validation ----------
+
+function templateFields(template) {
+  return Array.from(String(template).matchAll(TEMPLATE_FIELD), (m) =>
+    m[1].split("|").map((alt) => alt.trim())
+  )
+    .flat()
+    .filter((alt) => !/^".*"$/.test(alt));
+}
+
+function regexGroups(re) {
+  // Named groups: "(?<name>" in the source
+  return Array.from(re.source.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g), (m) => m[1]);
+}
+
+export function validateNamingRules(config) {
+  const problems = [];
+  const isString = (v) => typeof v === "string";
+
+  const mode = config?.privacy?.individuals;
+  if (mode != null && !PRIVACY_MODES.includes(mode)) {
+    problems.push(`privacy.individuals: must be one of ${PRIVACY_MODES.join(", ")}`);
+  }
+  if (mode === "label" && !isString(config.privacy.label)) {
+    problems.push('privacy.label: needed when individuals is "label"');
+  }
+
+  const checkRule = (rule, where, { needsWhen }) => {
+    if (rule == null || typeof rule !== "object") {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    const groups = [];
+    if (needsWhen) {
+      const keys = Object.keys(rule.when || {});
+      if (!keys.length) problems.push(`${where}: when must match at least one of ${MATCH_KEYS.join(", ")}`);
+      for (const key of keys) {
+        const matcher = rule.when[key];
+        if (!MATCH_KEYS.includes(key)) problems.push(`${where}: when.${key} is not one of ${MATCH_KEYS.join(", ")}`);
+        else if (matcher instanceof RegExp) groups.push(...regexGroups(matcher));
+        else if (!isString(matcher)) problems.push(`${where}: when.${key} must be text or a /regex/`);
+      }
+    }
+    if (rule.privacy != null && !PRIVACY_MODES.includes(rule.privacy)) {
+      problems.push(`${where}: privacy must be one of ${PRIVACY_MODES.join(", ")}`);
+    }
+
+    const known = new Set(["reservee", "purpose", ...groups]);
+    for (const key of ["title", "subtitle"]) {
+      if (!isString(rule[key])) {
+        problems.push(`${where}: ${key} must be a template string`);
+        continue;
+      }
+      for (const field of templateFields(rule[key])) {
+        if (!known.has(field)) problems.push(`${where}: ${key} uses unknown field {${field}}`);
+      }
+    }
+  };
+
+  if (!Array.isArray(config?.rules)) problems.push("rules: must be an array");
+  (config?.rules || []).forEach((rule, i) =>
+    checkRule(rule, `rules[${i}]${rule?.name ? ` (${rule.name})` : ""}`, { needsWhen: true })
+  );
+  checkRule(config?.fallback, "fallback", { needsWhen: false });
+
+  if (problems.length) {
+    throw new Error(`naming-rules.mjs is invalid:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+  }
+  return config;
+}
+
+// ---------- Reservee ----------
+
+/**
+ * "Smith, John" -> { name: "John Smith", person: { first: "John", last: "Smith" } }
+ * Organisations come back as { name, person: null }.
+ */
+export function cleanReservee(raw, { collapseDuplicates = true, flipLastFirst = true } = {}) {
+  const r = String(raw || "").trim();
+  const parts = r.split(",");
+  if (parts.length !== 2) return { name: r, person: null };
+
+  const left = parts[0].trim();
+  const right = parts[1].trim();
+
+  // "Illinois Express Basketball, Illinois Express Basketball"
+  if (collapseDuplicates && left && right && left.toLowerCase() === right.toLowerCase()) {
+    return { name: left, person: null };
+  }
+
+  // A one-word last name before the comma looks like a person
+  if (flipLastFirst && left && right && !left.includes(" ")) {
+    return { name: `${right} ${left}`, person: { first: right, last: left } };
+  }
+
+  return { name: r, person: null };
+}
+
+function initial(word) {
+  return word ? `${word[0].toUpperCase()}.` : "";
+}
+
+function privateName({ name, person }, mode, label) {
+  if (!person || mode === "full") return name;
+  const first = person.first.split(/\s+/)[0];
+  if (mode === "first-last-initial") return `${first} ${initial(person.last)}`;
+  if (mode === "initials") return `${initial(first)} ${initial(person.last)}`;
+  return label;
+}
+
+// ---------- Rules ----------
+
+// Groups from the match (possibly {}), or null when `matcher` doesn't match
+function matchField(matcher, value) {
+  if (matcher instanceof RegExp) {
+    const m = new RegExp(matcher.source, matcher.flags.includes("i") ? matcher.flags : matcher.flags + "i").exec(value);
+    return m ? { ...m.groups } : null;
+  }
+  return value.toLowerCase().includes(matcher.toLowerCase()) ? {} : null;
+}
+
+function matchRule(rule, fields) {
+  const groups = {};
+  for (const [key, matcher] of Object.entries(rule.when)) {
+    const values = key === "any" ? [fields.reservee, fields.purpose] : [fields[key]];
+    const found = values.map((v) => matchField(matcher, v)).find(Boolean);
+    if (!found) return null;
+    Object.assign(groups, found);
+  }
+  return groups;
+}
+
+// "{purpose|reservee}" with { purpose: "", reservee: "Ann" } -> "Ann"
+export function renderTemplate(template, fields) {
+  return String(template)
+    .replace(TEMPLATE_FIELD, (_m, alternatives) => {
+      for (const alt of alternatives.split("|").map((a) => a.trim())) {
+        const literal = /^"(.*)"$/.exec(alt);
+        const value = literal ? literal[1] : fields[alt];
+        if (value) return value;
+      }
+      return "";
+    })
+    .trim();
+}
+
+/**
+ * (reservee, purpose) as in the report -> { title, subtitle, rule }
+ * where rule is the name of the rule that matched.
+ */
+export function nameReservation(reserveeRaw, purposeRaw, config = NAMING_RULES) {
+  const reservee = cleanReservee(reserveeRaw, config.reservee);
+  const purpose = String(purposeRaw || "").trim();
+
+  // Rules match the cleaned-up name; privacy only changes what's shown
+  const matchFields = { reservee: reservee.name, purpose };
+  let rule = config.fallback;
+  let groups = {};
+  for (const candidate of config.rules) {
+    const found = matchRule(candidate, matchFields);
+    if (found) {
+      rule = candidate;
+      groups = found;
+      break;
+    }
+  }
+
+  const privacy = config.privacy || {};
+  const fields = {
+    ...groups,
+    reservee: privateName(reservee, rule.privacy || privacy.individuals || "full", privacy.label),
+    purpose,
+  };
+
+  return {
+    title: renderTemplate(rule.title, fields),
+    subtitle: renderTemplate(rule.subtitle, fields),
+    rule: rule.name || (rule === config.fallback ? "fallback" : `rules[${config.rules.indexOf(rule)}]`),
+  };
+}
@@ -0,0 +1,112 @@
+// notify.mjs
+// Alerts for staff when something in the daily pipeline needs a human
+// (e.g. the morning report email is missing or late). Where alerts go is
+// configured with env vars; several notifiers can be active at once.
+//
+//   NOTIFY=smtp,webhook,file     which notifiers to use (default: file)
+//
+//   smtp     SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (false), SMTP_USER, SMTP_PASS,
+//            NOTIFY_TO (comma-separated), NOTIFY_FROM (defaults to SMTP_USER)
+//   webhook  NOTIFY_WEBHOOK_URL — POSTed { text, subject, level, details, sentAt };
+//            "text" is what Slack/Teams/Google Chat incoming webhooks display
+//   file     NOTIFY_FILE (./data/alerts.log) — one JSON line per alert, for testing
+//
+// Usage: node scripts/notify.mjs "Subject" "Message"   (sends a test alert)
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+// ---------- Notifiers ----------
+
+async function sendSmtp(alert) {
+  const { SMTP_HOST, SMTP_USER, SMTP_PASS, NOTIFY_TO } = process.env;
+  if (!SMTP_HOST || !NOTIFY_TO) {
+    throw new Error("smtp notifier needs SMTP_HOST and NOTIFY_TO");
+  }
+
+  // Only loaded when email alerts are configured
+  const { default: nodemailer } = await import("nodemailer");
+  const transport = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+
+  await transport.sendMail({
+    from: process.env.NOTIFY_FROM || SMTP_USER,
+    to: NOTIFY_TO.split(",").map((s) => s.trim()).filter(Boolean),
+    subject: `[RAEC board] ${alert.subject}`,
+    text: alert.text,
+  });
+}
+
+async function sendWebhook(alert) {
+  const url = process.env.NOTIFY_WEBHOOK_URL;
+  if (!url) throw new Error("webhook notifier needs NOTIFY_WEBHOOK_URL");
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...alert, text: `*${alert.subject}*\n${alert.text}` }),
+  });
+  if (!res.ok) throw new Error(`webhook returned HTTP ${res.status}`);
+}
+
+async function sendFile(alert) {
+  const file = process.env.NOTIFY_FILE || "./data/alerts.log";
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(alert) + "\n");
+}
+
+const NOTIFIERS = {
+  smtp: sendSmtp,
+  webhook: sendWebhook,
+  file: sendFile,
+};
+
+// ---------- Public API ----------
+
+/**
+ * Send an alert through every configured notifier.
+ * One notifier failing doesn't stop the others; returns the names that
+ * delivered (an empty list means nobody was told).
+ */
+export async function notify({ subject, text, level = "warning", details = {} }) {
+  const alert = { subject, text, level, details, sentAt: new Date().toISOString() };
+  const names = (process.env.NOTIFY || "file")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const delivered = [];
+  for (const name of names) {
+    const send = NOTIFIERS[name];
+    if (!send) {
+      console.warn(`Unknown notifier "${name}" (expected one of ${Object.keys(NOTIFIERS).join(", ")})`);
+      continue;
+    }
+    try {
+      await send(alert);
+      delivered.push(name);
+    } catch (err) {
+      console.error(`Notifier "${name}" failed: ${err.message}`);
+    }
+  }
+
+  console.log(`Alert "${subject}" sent via ${delivered.join(", ") || "(nothing)"}`);
+  return delivered;
+}
+
+// Only run when executed directly (`node scripts/notify.mjs`), not on import
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [subject = "Test alert", text = "This is a test alert from the RAEC rooms board."] =
+    process.argv.slice(2);
+  notify({ subject, text, level: "info" })
+    .then((delivered) => process.exit(delivered.length ? 0 : 1))
+    .catch((err) => {
+      console.error("notify.mjs failed:", err);
+      process.exit(1);
+    });
+}
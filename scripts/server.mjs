@@ -0,0 +1,538 @@
+// server.mjs
+// Local board server: serves the board (index.html, app.js, …) and a small
+// read-only JSON API over events.json, so other screens, a kiosk app or
+// staff tools can ask about the schedule without parsing the whole file.
+//
+//   GET /api/rooms                     rooms, labels and clusters for the current season
+//   GET /api/slots?room=9A&date=YYYY-MM-DD&from=…&to=…
+//                                      slots, filtered; from/to accept "HH:MM" (today),
+//                                      "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM"
+//   GET /api/now[?room=9A]             what's happening in each room right now
+//   GET /api/next[?room=9A]            the next reservation in each room
+//   GET /api/announcements             staff announcements showing now
+//   GET /api/stream                    Server-Sent Events: an "events" message
+//                                      each time a new events.json is published,
+//                                      "overrides" when overrides.json changes
+//
+// Slots in the API have overrides.json (overrides.mjs) applied, as on the board.
+//
+// Admin (admin.html), with "Authorization: Bearer $ADMIN_TOKEN"; disabled
+// when ADMIN_TOKEN is unset:
+//   POST /api/admin/upload?filename=…&by=…
+//                                      body is a pasted/uploaded report; runs it
+//                                      through scripts/ingest.mjs into EVENTS_JSON
+//   PUT /api/overrides                 body is the whole new overrides.json
+//
+// Static files are served with ETag/Last-Modified so boards that lose the
+// stream can fall back to cheap conditional polling (304 Not Modified).
+//
+// Usage: node scripts/server.mjs   (PORT=8080, HOST=0.0.0.0, EVENTS_JSON=./events.json,
+//                                  OVERRIDES_JSON=./overrides.json, ADMIN_TOKEN=…)
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { FACILITY_CONFIG } from "../facility-config.mjs";
+import { readEvents } from "../events-schema.mjs";
+import { applyOverrides, activeAnnouncements, validateOverrides } from "../overrides.mjs";
+import {
+  dateKey,
+  toDate,
+  toLocalIso,
+  slotDate,
+  querySlots,
+  roomStatus,
+  parseClock,
+} from "../schedule.mjs";
+import { ingest } from "./ingest.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PORT = Number(process.env.PORT || 8080);
+const HOST = process.env.HOST || "0.0.0.0";
+const EVENTS_JSON = path.resolve(ROOT, process.env.EVENTS_JSON || process.env.OUT_JSON || "events.json");
+const OVERRIDES_JSON = path.resolve(ROOT, process.env.OVERRIDES_JSON || "overrides.json");
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".ics": "text/calendar; charset=utf-8",
+};
+
+// Top-level paths that are never served
+const PRIVATE_PATHS = new Set([
+  "node_modules",
+  "data",
+  "scripts",
+  "archive",
+  "package.json",
+  "package-lock.json",
+]);
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ---------- events.json (re-read when it changes on disk) ----------
+
+let cached = { mtimeMs: -1, data: null };
+
+function loadEvents() {
+  const { mtimeMs } = fs.statSync(EVENTS_JSON);
+  if (mtimeMs !== cached.mtimeMs) {
+    // Older files (and board.js-style data) are migrated to the current schema
+    const data = readEvents(JSON.parse(fs.readFileSync(EVENTS_JSON, "utf8")));
+    cached = { mtimeMs, data };
+  }
+  return cached.data;
+}
+
+// ---------- overrides.json (same; missing means none) ----------
+
+const NO_OVERRIDES = { overrides: [], announcements: [] };
+let cachedOverrides = { mtimeMs: -1, data: NO_OVERRIDES };
+
+function loadOverrides() {
+  if (!fs.existsSync(OVERRIDES_JSON)) return NO_OVERRIDES;
+  const { mtimeMs } = fs.statSync(OVERRIDES_JSON);
+  if (mtimeMs !== cachedOverrides.mtimeMs) {
+    let data = cachedOverrides.data;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(OVERRIDES_JSON, "utf8"));
+      const problems = validateOverrides(parsed);
+      if (problems.length) throw new Error(problems.join("; "));
+      data = { ...NO_OVERRIDES, ...parsed };
+    } catch (err) {
+      // Boards ignore a broken file too; keep applying the last good one
+      console.warn(`Ignoring ${OVERRIDES_JSON}: ${err.message}`);
+    }
+    cachedOverrides = { mtimeMs, data };
+  }
+  return cachedOverrides.data;
+}
+
+// events.json as the boards show it
+function withOverrides(data, now) {
+  return { ...data, slots: applyOverrides(data.slots || [], loadOverrides().overrides, now) };
+}
+
+// ---------- Push (Server-Sent Events) ----------
+
+const streamClients = new Set();
+let publishedHash = null;
+
+function broadcast(event, payload) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const res of streamClients) res.write(message);
+}
+
+function openStream(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+  });
+  // Ask browsers to reconnect after 5s if the connection drops
+  res.write("retry: 5000\n\n");
+  streamClients.add(res);
+  req.on("close", () => streamClients.delete(res));
+}
+
+// Called when events.json changes on disk; only announces content that
+// actually changed, parses and passes the schema (a half-written file is
+// ignored until the next change event).
+function checkPublished() {
+  let text;
+  let data;
+  try {
+    text = fs.readFileSync(EVENTS_JSON, "utf8");
+    data = readEvents(JSON.parse(text));
+  } catch (err) {
+    if (err instanceof SyntaxError) return;
+    // Boards would refuse it too; keep them on what they have
+    console.warn(`Not announcing ${EVENTS_JSON}: ${err.message}`);
+    return;
+  }
+
+  const hash = crypto.createHash("sha1").update(text).digest("hex");
+  if (hash === publishedHash) return;
+  const first = publishedHash === null;
+  publishedHash = hash;
+  if (first) return;
+
+  console.log(`events.json changed; notifying ${streamClients.size} board(s)`);
+  broadcast("events", { hash, generatedAt: data.generatedAt || null });
+}
+
+let overridesHash = null;
+
+// Same for overrides.json: boards re-fetch it on an "overrides" message
+function checkOverrides() {
+  let hash = "";
+  if (fs.existsSync(OVERRIDES_JSON)) {
+    hash = crypto.createHash("sha1").update(fs.readFileSync(OVERRIDES_JSON)).digest("hex");
+  }
+  if (hash === overridesHash) return;
+  const first = overridesHash === null;
+  overridesHash = hash;
+  if (first) return;
+
+  console.log(`overrides.json changed; notifying ${streamClients.size} board(s)`);
+  broadcast("overrides", { hash });
+}
+
+// Watch the directory: the build may replace the file rather than edit it
+function watchFile(file, onChange) {
+  let timer = null;
+  fs.watch(path.dirname(file), (_type, filename) => {
+    if (filename && filename !== path.basename(file)) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, 250);
+  });
+}
+
+function watchEvents() {
+  checkPublished();
+  checkOverrides();
+  watchFile(EVENTS_JSON, checkPublished);
+  watchFile(OVERRIDES_JSON, checkOverrides);
+
+  // Comment line keeps proxies from closing idle streams
+  setInterval(() => {
+    for (const res of streamClients) res.write(": keep-alive\n\n");
+  }, 25_000);
+}
+
+// ---------- Rooms ----------
+
+function seasonLayout(cluster, season) {
+  if (!cluster.seasons) return cluster;
+  return cluster.seasons[season] || cluster.seasons[FACILITY_CONFIG.season.default];
+}
+
+// Rooms on the board this season, in layout order
+function activeRooms(season) {
+  const labels = new Map(FACILITY_CONFIG.rooms.map((r) => [r.id, r.label]));
+  return FACILITY_CONFIG.clusters.flatMap((cluster) =>
+    seasonLayout(cluster, season).rooms.map((id) => ({
+      id,
+      label: labels.get(id) || id,
+      cluster: cluster.id,
+      clusterTitle: cluster.title,
+    }))
+  );
+}
+
+// ---------- Query parsing ----------
+
+// "2025-11-03", and a day that exists (not "2025-13-45")
+function isDateKey(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && dateKey(toDate(value)) === value;
+}
+
+// "19:30" | "2025-11-03" | "2025-11-03T19:30" -> Date
+function parseWhen(value, name, now) {
+  if (!value) return null;
+
+  // [day, clock]; "HH:MM" alone is today
+  const m = value.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}:\d{2}))?$/) || [value, dateKey(now), value];
+  const day = m[1];
+  const minutes = m[2] ? parseClock(m[2]) : 0;
+  if (!isDateKey(day) || minutes == null) {
+    throw new HttpError(400, `Invalid "${name}" ("${value}"): expected HH:MM, YYYY-MM-DD or YYYY-MM-DDTHH:MM`);
+  }
+  return toDate(day, minutes);
+}
+
+function checkRoom(room) {
+  if (room && !FACILITY_CONFIG.rooms.some((r) => r.id === room)) {
+    throw new HttpError(404, `Unknown room "${room}"`);
+  }
+  return room || null;
+}
+
+// Slot as returned by the API: events.json fields + absolute local times
+function present(slot, today) {
+  if (!slot) return null;
+  const date = slotDate(slot, today);
+  return {
+    ...slot,
+    date,
+    start: toLocalIso(date, slot.startMin),
+    end: toLocalIso(date, slot.endMin),
+  };
+}
+
+// ---------- API ----------
+
+const routes = {
+  "/api/rooms": (_params, data) => ({
+    season: data.season,
+    rooms: activeRooms(data.season),
+  }),
+
+  "/api/slots": (params, data, now) => {
+    const room = checkRoom(params.get("room"));
+    const date = params.get("date");
+    if (date && !isDateKey(date)) {
+      throw new HttpError(400, 'Invalid "date": expected YYYY-MM-DD');
+    }
+    const from = parseWhen(params.get("from"), "from", now);
+    const to = parseWhen(params.get("to"), "to", now);
+
+    const slots = querySlots(data.slots || [], { room, date, from, to }, now);
+    return { count: slots.length, slots: slots.map((s) => present(s, dateKey(now))) };
+  },
+
+  "/api/now": (params, data, now) => {
+    const room = checkRoom(params.get("room"));
+    const rooms = activeRooms(data.season).filter((r) => !room || r.id === room);
+    return {
+      now: toLocalIso(dateKey(now), now.getHours() * 60 + now.getMinutes()),
+      rooms: rooms.map((r) => {
+        const status = roomStatus(data.slots || [], r.id, now);
+        return { ...r, current: present(status.current, dateKey(now)) };
+      }),
+    };
+  },
+
+  "/api/announcements": (_params, _data, now) => ({
+    announcements: activeAnnouncements(loadOverrides().announcements, now),
+  }),
+
+  "/api/next": (params, data, now) => {
+    const room = checkRoom(params.get("room"));
+    const rooms = activeRooms(data.season).filter((r) => !room || r.id === room);
+    return {
+      now: toLocalIso(dateKey(now), now.getHours() * 60 + now.getMinutes()),
+      rooms: rooms.map((r) => {
+        const status = roomStatus(data.slots || [], r.id, now);
+        return { ...r, next: present(status.next, dateKey(now)) };
+      }),
+    };
+  },
+};
+
+// ---------- Admin API ----------
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+function requireAdmin(req) {
+  if (!ADMIN_TOKEN) throw new HttpError(403, "Admin changes are disabled (ADMIN_TOKEN is not set)");
+  const m = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  // Compare digests so the check takes the same time whatever was sent
+  if (!m || !crypto.timingSafeEqual(sha256(m[1].trim()), sha256(ADMIN_TOKEN))) {
+    throw new HttpError(401, "Missing or wrong admin token");
+  }
+}
+
+// A body over `limit` rejects with 413 and the rest of it is discarded
+// unread, so the 413 still reaches the client (the connection is closed
+// after it; see the handler below)
+function readBody(req, limit = MAX_UPLOAD_BYTES) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new HttpError(413, `Upload is larger than ${limit / 1024 / 1024} MB`);
+    if (Number(req.headers["content-length"]) > limit) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let refused = false;
+    req.on("data", (chunk) => {
+      if (refused) return;
+      size += chunk.length;
+      if (size > limit) {
+        refused = true;
+        chunks.length = 0;
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+let ingesting = false;
+
+async function uploadReport(req, params) {
+  const content = await readBody(req);
+  if (!content.length) throw new HttpError(400, "The report is empty");
+  if (ingesting) throw new HttpError(409, "Another report is being processed; try again in a moment");
+
+  ingesting = true;
+  try {
+    const { data } = await ingest("upload", {
+      pullOptions: { content, filename: params.get("filename"), uploadedBy: params.get("by") },
+      outputJson: EVENTS_JSON,
+    });
+    return {
+      reportDate: data.reportDate,
+      dates: data.dates,
+      season: data.season,
+      slots: data.slots.length,
+      conflicts: data.conflicts.length,
+      source: data.source,
+    };
+  } catch (err) {
+    // Bad CSVs are the uploader's to fix, not a server fault
+    throw new HttpError(422, `Could not use this report: ${err.message}`);
+  } finally {
+    ingesting = false;
+  }
+}
+
+async function saveOverrides(req) {
+  let data;
+  try {
+    data = JSON.parse((await readBody(req)).toString("utf8"));
+  } catch (err) {
+    throw new HttpError(400, `Body is not JSON: ${err.message}`);
+  }
+  const problems = validateOverrides(data);
+  if (problems.length) throw new HttpError(400, `overrides.json is invalid:\n${problems.join("\n")}`);
+
+  const saved = {
+    overrides: data.overrides || [],
+    announcements: data.announcements || [],
+    updatedAt: new Date().toISOString(),
+  };
+  // Write then rename, so boards never fetch a half-written file
+  const tmp = `${OVERRIDES_JSON}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(saved, null, 2) + "\n");
+  fs.renameSync(tmp, OVERRIDES_JSON);
+  console.log(`overrides.json saved (${saved.overrides.length} overrides, ${saved.announcements.length} announcements)`);
+  return saved;
+}
+
+// "METHOD /path" -> handler(req, params); all require the admin token
+const adminRoutes = {
+  "POST /api/admin/upload": uploadReport,
+  "PUT /api/overrides": saveOverrides,
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": CONTENT_TYPES[".json"],
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+// ---------- Static files ----------
+
+function serveStatic(req, pathname, res) {
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname === "/" ? "/index.html" : pathname).replace(/^\/+/, "");
+  } catch {
+    throw new HttpError(400, "Bad request");
+  }
+  const segments = rel.split("/");
+  if (segments.some((s) => s === ".." || s.startsWith(".")) || PRIVATE_PATHS.has(segments[0])) {
+    throw new HttpError(404, "Not found");
+  }
+
+  // The board's ./events.json and ./overrides.json are wherever the env points
+  const file =
+    rel === "events.json" ? EVENTS_JSON : rel === "overrides.json" ? OVERRIDES_JSON : path.join(ROOT, rel);
+  const type = CONTENT_TYPES[path.extname(file).toLowerCase()];
+  if (!type || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new HttpError(404, "Not found");
+  }
+
+  const stat = fs.statSync(file);
+  const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+  const lastModified = new Date(Math.floor(stat.mtimeMs / 1000) * 1000);
+  const headers = {
+    "Content-Type": type,
+    "Cache-Control": "no-cache",
+    ETag: etag,
+    "Last-Modified": lastModified.toUTCString(),
+  };
+
+  const ifNoneMatch = req.headers["if-none-match"];
+  const ifModifiedSince = req.headers["if-modified-since"];
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(/\s*,\s*/).includes(etag)
+    : ifModifiedSince && new Date(ifModifiedSince) >= lastModified;
+
+  if (notModified) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, headers);
+  if (req.method === "HEAD") res.end();
+  else fs.createReadStream(file).pipe(res);
+}
+
+// ---------- Server ----------
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  try {
+    const adminRoute = adminRoutes[`${req.method} ${url.pathname}`];
+    if (adminRoute) {
+      requireAdmin(req);
+      sendJson(res, 200, await adminRoute(req, url.searchParams));
+      return;
+    }
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      throw new HttpError(405, "Method not allowed");
+    }
+
+    if (url.pathname === "/api/stream") {
+      openStream(req, res);
+      return;
+    }
+
+    const route = routes[url.pathname];
+    if (route) {
+      const now = new Date();
+      sendJson(res, 200, route(url.searchParams, withOverrides(loadEvents(), now), now));
+      return;
+    }
+    if (url.pathname.startsWith("/api/")) throw new HttpError(404, "Unknown endpoint");
+
+    serveStatic(req, url.pathname, res);
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error(`${req.method} ${req.url} failed:`, err);
+    // Don't wait for the rest of an oversized upload on this connection
+    if (status === 413) res.setHeader("Connection", "close");
+    if (url.pathname.startsWith("/api/")) sendJson(res, status, { error: err.message });
+    else {
+      res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(status === 500 ? "Internal server error" : err.message);
+    }
+  }
+});
+
+watchEvents();
+
+server.listen(PORT, HOST, () => {
+  console.log(`Board server on http://${HOST === "0.0.0.0" ? "localhost" : HOST}:${PORT}/ (events: ${EVENTS_JSON})`);
+});
@@ -1,310 +1,537 @@
 // transform.mjs
 // Logic:
-//  - Group CSV rows by (reservee, purpose, timeRange)
+//  - Group CSV rows by (date, reservee, purpose, timeRange)
 //  - For each group, only create a room slot if ALL required facilities
-//    for that room are present in that group's set of facilities
-//  - Apply naming rules to produce title/subtitle
-//  - Season is driven solely by "Turf Season per NM" in column E
+//    for that room (facility-config.mjs) are present in that group's
+//    set of facilities
+//  - Apply naming rules (naming-rules.mjs) to produce title/subtitle
+//  - Columns are found by header label (see COLUMNS), not position
+//  - The report can be CSV or an Excel workbook (see "Reading the report")
+//  - Season is driven solely by "Turf Season per NM" in Reservation Purpose
+//  - Every slot carries the date it happens on (see "Report dates")
+//  - Anything that didn't make it onto the board is listed in
+//    reconciliation.json / reconciliation.txt next to events.json
+//  - Overlapping bookings in the same room (or on the same floor, for
+//    full-gym bookings) are listed in events.json "conflicts" and the report
 
 import fs from "fs";
+import crypto from "crypto";
+import path from "path";
+import { pathToFileURL } from "url";
 import { parse } from "csv-parse/sync";
-
-// Column indices: A=0, B=1, C=2, ...
-const COL_FACILITY = 1;  // "Facility"
-const COL_TIMERANGE = 2; // "Time" (e.g. "10:00am - 11:00am")
-const COL_RESERVEE = 3;  // "Reservee"
-const COL_PURPOSE  = 4;  // "Reservation Purpose" (also used for season flag)
-const COL_SEASON   = 4;
-
-// ---------- Room rules: required facilities per room ----------
-// For each roomId, ALL of the listed facilities must be present
-// (same reservee, same purpose, same timeRange) for the reservation
-// to count as being in that room.
-
-const ROOM_RULES = [
-  // Front cluster: 1A, 1B, 2A, 2B
-  // Championship Court is now OPTIONAL; we only require:
-  // Full Gym 1AB & 2AB + Court 1-AB/2-AB + the half court.
-  {
-    roomId: "1A",
-    facilities: [
-      "AC Gym - Full Gym 1AB & 2AB",
-      "AC Gym - Court 1-AB",
-      "AC Gym - Half Court 1A",
-    ],
-  },
-  {
-    roomId: "1B",
-    facilities: [
-      "AC Gym - Full Gym 1AB & 2AB",
-      "AC Gym - Court 1-AB",
-      "AC Gym - Half Court 1B",
-    ],
-  },
-  {
-    roomId: "2A",
-    facilities: [
-      "AC Gym - Full Gym 1AB & 2AB",
-      "AC Gym - Court 2-AB",
-      "AC Gym - Half Court 2A",
-    ],
-  },
-  {
-    roomId: "2B",
-    facilities: [
-      "AC Gym - Full Gym 1AB & 2AB",
-      "AC Gym - Court 2-AB",
-      "AC Gym - Half Court 2B",
-    ],
-  },
-
-  // Fieldhouse courts: 3–8
-  {
-    roomId: "3",
-    facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 3"],
-  },
-  {
-    roomId: "4",
-    facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 4"],
-  },
-  {
-    roomId: "5",
-    facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 5"],
-  },
-  {
-    roomId: "6",
-    facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 6"],
-  },
-  {
-    roomId: "7",
-    facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 7"],
-  },
-  {
-    roomId: "8",
-    facilities: ["AC Fieldhouse Court 3-8", "AC Fieldhouse - Court 8"],
-  },
-
-  // Turf: NA / NB / SA / SB
-  // Use whatever roomIds your front-end expects here.
-  {
-    roomId: "Quarter Turf NA",
-    facilities: [
-      "AC Fieldhouse - Full Turf",
-      "AC Fieldhouse - Half Turf North",
-      "AC Fieldhouse - Quarter Turf NA",
-    ],
-  },
-  {
-    roomId: "Quarter Turf NB",
-    facilities: [
-      "AC Fieldhouse - Full Turf",
-      "AC Fieldhouse - Half Turf North",
-      "AC Fieldhouse - Quarter Turf NB",
-    ],
-  },
-  {
-    roomId: "Quarter Turf SA",
-    facilities: [
-      "AC Fieldhouse - Full Turf",
-      "AC Fieldhouse - Half Turf South",
-      "AC Fieldhouse - Quarter Turf SA",
-    ],
-  },
-  {
-    roomId: "Quarter Turf SB",
-    facilities: [
-      "AC Fieldhouse - Full Turf",
-      "AC Fieldhouse - Half Turf South",
-      "AC Fieldhouse - Quarter Turf SB",
-    ],
-  },
-
-  // Back cluster: 9A, 9B, 10A, 10B
-  {
-    roomId: "9A",
-    facilities: [
-      "AC Gym - Full Gym 9 & 10",
-      "AC Gym - Court 9-AB",
-      "AC Gym - Half Court 9A",
-    ],
-  },
-  {
-    roomId: "9B",
-    facilities: [
-      "AC Gym - Full Gym 9 & 10",
-      "AC Gym - Court 9-AB",
-      "AC Gym - Half Court 9B",
-    ],
-  },
-  {
-    roomId: "10A",
-    facilities: [
-      "AC Gym - Full Gym 9 & 10",
-      "AC Gym - Court 10-AB",
-      "AC Gym - Half Court 10A",
-    ],
-  },
-  {
-    roomId: "10B",
-    facilities: [
-      "AC Gym - Full Gym 9 & 10",
-      "AC Gym - Court 10-AB",
-      "AC Gym - Half Court 10B",
-    ],
-  },
+import * as XLSX from "xlsx";
+import { FACILITY_CONFIG } from "../facility-config.mjs";
+import { NAMING_RULES } from "../naming-rules.mjs";
+import { SCHEMA_VERSION, assertValidEvents } from "../events-schema.mjs";
+import { nameReservation, validateNamingRules } from "./naming.mjs";
+
+// ---------- CSV columns ----------
+// Columns are located by their header label, never by position, so a
+// reordered or extended RecTrac export still maps to the right fields.
+// Labels are compared case-insensitively with whitespace and trailing
+// colons ignored; the first alias found in the header wins.
+
+const COLUMNS = [
+  { key: "facility",  required: true,  aliases: ["Facility", "Facility Name"] },
+  { key: "timeRange", required: true,  aliases: ["Reserved Time", "Time", "Reservation Time"] },
+  { key: "reservee",  required: true,  aliases: ["Reservee", "Reserved By", "Customer"] },
+  { key: "purpose",   required: true,  aliases: ["Reservation Purpose", "Purpose"] },
+  { key: "headcount", required: false, aliases: ["Headcount", "Head Count", "Attendance"] },
+  { key: "answers",   required: false, aliases: ["QuestionAnswerAll", "Question Answer All", "Questions"] },
+  { key: "date",      required: false, aliases: ["Date", "Reservation Date", "Reserved Date", "Event Date"] },
 ];
 
-// ---------- Naming rules ----------
+function normalizeHeader(label) {
+  return String(label || "")
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .replace(/:$/, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
 
-function normalizeReservee(rawReservee) {
-  let r = (rawReservee || "").trim();
-  if (!r) return "";
+// header row -> { facility: 1, timeRange: 2, ... }
+// Throws with a report naming every required column that is missing.
+function resolveColumns(header) {
+  const positions = new Map();
+  (header || []).forEach((label, i) => {
+    const norm = normalizeHeader(label);
+    if (norm && !positions.has(norm)) positions.set(norm, i);
+  });
 
-  const parts = r.split(",");
-  if (parts.length === 2) {
-    const left = parts[0].trim();
-    const right = parts[1].trim();
+  const columns = {};
+  const missing = [];
 
-    // 1) Collapse exact duplicates like
-    //    "Chicago Sport and Social Club, Chicago Sport and Social Club"
-    //    or "Illinois Express Basketball, Illinois Express Basketball"
-    if (left && right && left.toLowerCase() === right.toLowerCase()) {
-      return left;
+  for (const col of COLUMNS) {
+    const alias = col.aliases.find((a) => positions.has(normalizeHeader(a)));
+    if (alias != null) {
+      columns[col.key] = positions.get(normalizeHeader(alias));
+    } else if (col.required) {
+      missing.push(col);
     }
+  }
 
-    // 2) "Last, First" -> "First Last" when it looks like a person name
-    const leftHasSpace = left.includes(" ");
-    const rightHasComma = right.includes(",");
-    if (!leftHasSpace && !rightHasComma && left && right) {
-      // e.g. "Smith, John" -> "John Smith"
-      return `${right} ${left}`;
-    }
+  if (missing.length) {
+    const lines = missing.map(
+      (col) => `  - ${col.aliases[0]} (also accepted: ${col.aliases.slice(1).join(", ")})`
+    );
+    throw new Error(
+      [
+        `Report is missing ${missing.length} required column(s):`,
+        ...lines,
+        `Header row was: ${(header || []).map((h) => JSON.stringify(h)).join(", ")}`,
+      ].join("\n")
+    );
   }
 
-  return r;
+  return columns;
 }
 
-function makeTitleSubtitle(reserveeRaw, purposeRaw) {
-  const reservee = normalizeReservee(reserveeRaw);
-  const purpose = (purposeRaw || "").trim();
+// Raw CSV row -> { facility, timeRange, reservee, purpose, headcount, answers }
+function toRecord(row, columns) {
+  const record = {};
+  for (const col of COLUMNS) {
+    const idx = columns[col.key];
+    record[col.key] = idx == null ? "" : String(row[idx] ?? "").trim();
+  }
+  return record;
+}
 
-  const lowerR = reservee.toLowerCase();
-  const lowerP = purpose.toLowerCase();
+// ---------- Facility config ----------
+// Rooms, their required facilities, clusters and season markers all live
+// in facility-config.mjs. It is validated here so a typo fails the build
+// instead of silently emptying part of the board.
 
-  // Open Pickleball / Open Gym
-  if (lowerR.includes("open pickleball") || lowerP.includes("open pickleball")) {
-    return { title: "Open Pickleball", subtitle: "" };
-  }
-  if (lowerR.includes("open gym") || lowerP.includes("open gym")) {
-    return { title: "Open Gym", subtitle: "" };
+function validateFacilityConfig(config) {
+  const problems = [];
+  const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+
+  const rooms = Array.isArray(config?.rooms) ? config.rooms : [];
+  if (!rooms.length) problems.push("rooms: must be a non-empty array");
+
+  const roomIds = new Set();
+  const domIds = new Set();
+  const ruleKeys = new Map();
+
+  rooms.forEach((room, i) => {
+    const where = `rooms[${i}]${isNonEmptyString(room?.id) ? ` (${room.id})` : ""}`;
+    if (!isNonEmptyString(room?.id)) {
+      problems.push(`${where}: id must be a non-empty string`);
+      return;
+    }
+    if (roomIds.has(room.id)) problems.push(`${where}: duplicate room id`);
+    roomIds.add(room.id);
+
+    const domId = room.domId ?? room.id;
+    if (!isNonEmptyString(domId)) problems.push(`${where}: domId must be a non-empty string`);
+    else if (domIds.has(domId)) problems.push(`${where}: duplicate domId "${domId}"`);
+    domIds.add(domId);
+
+    if (!isNonEmptyString(room.label)) problems.push(`${where}: label must be a non-empty string`);
+
+    if (!Array.isArray(room.facilities) || !room.facilities.length) {
+      problems.push(`${where}: facilities must be a non-empty array`);
+    } else if (!room.facilities.every(isNonEmptyString)) {
+      problems.push(`${where}: facilities must all be non-empty strings`);
+    } else {
+      const ruleKey = [...room.facilities].sort().join("|");
+      if (ruleKeys.has(ruleKey)) {
+        problems.push(`${where}: same facilities as room ${ruleKeys.get(ruleKey)}`);
+      }
+      ruleKeys.set(ruleKey, room.id);
+    }
+  });
+
+  const ignored = config?.ignoredFacilities ?? [];
+  if (!Array.isArray(ignored) || !ignored.every(isNonEmptyString)) {
+    problems.push("ignoredFacilities must be an array of non-empty strings");
   }
 
-  // Catch Corner: keep "Catch Corner" in title, booking detail in subtitle
-  if (lowerR.includes("catch corner") || lowerP.includes("catch corner")) {
-    const title = "Catch Corner";
-    const subtitle = purpose || reservee;
-    return { title, subtitle };
+  const season = config?.season;
+  if (!isNonEmptyString(season?.default)) problems.push("season.default must be a non-empty string");
+  if (!Array.isArray(season?.turfMarkers) || !season.turfMarkers.every(isNonEmptyString)) {
+    problems.push("season.turfMarkers must be an array of non-empty strings");
   }
+  const seasonNames = ["turf", season?.default].filter(Boolean);
+
+  const hours = config?.operatingHours;
+  const isClock = (v) => typeof v === "string" && /^([01]\d|2[0-4]):[0-5]\d$/.test(v);
+  if (!isClock(hours?.open) || !isClock(hours?.close)) {
+    problems.push('operatingHours.open/close must be "HH:MM" (24h)');
+  } else if (hours.open >= hours.close) {
+    problems.push("operatingHours.open must be before operatingHours.close");
+  }
+
+  const clusters = Array.isArray(config?.clusters) ? config.clusters : [];
+  if (!clusters.length) problems.push("clusters: must be a non-empty array");
 
-  // If no reservee but purpose present → purpose as title
-  if (!reservee && purpose) {
-    return { title: purpose, subtitle: "" };
+  const clusterIds = new Set();
+  const placed = new Set();
+
+  const checkLayout = (where, layout) => {
+    if (!isNonEmptyString(layout?.layout)) problems.push(`${where}: layout must be a non-empty string`);
+    if (!Array.isArray(layout?.rooms) || !layout.rooms.length) {
+      problems.push(`${where}: rooms must be a non-empty array`);
+      return;
+    }
+    const seen = new Set();
+    for (const id of layout.rooms) {
+      if (!roomIds.has(id)) problems.push(`${where}: unknown room "${id}"`);
+      if (seen.has(id)) problems.push(`${where}: room "${id}" listed twice`);
+      seen.add(id);
+      placed.add(id);
+    }
+  };
+
+  clusters.forEach((cluster, i) => {
+    const where = `clusters[${i}]${isNonEmptyString(cluster?.id) ? ` (${cluster.id})` : ""}`;
+    if (!isNonEmptyString(cluster?.id)) problems.push(`${where}: id must be a non-empty string`);
+    else if (clusterIds.has(cluster.id)) problems.push(`${where}: duplicate cluster id`);
+    clusterIds.add(cluster?.id);
+
+    if (!isNonEmptyString(cluster?.title)) problems.push(`${where}: title must be a non-empty string`);
+
+    if (cluster?.seasons) {
+      for (const name of seasonNames) {
+        if (!cluster.seasons[name]) problems.push(`${where}: seasons.${name} is missing`);
+      }
+      for (const [name, layout] of Object.entries(cluster.seasons)) {
+        checkLayout(`${where} seasons.${name}`, layout);
+      }
+    } else {
+      checkLayout(where, cluster);
+    }
+  });
+
+  for (const id of roomIds) {
+    if (!placed.has(id)) problems.push(`room "${id}" is not in any cluster`);
   }
 
-  // Default: reservee as title, purpose as subtitle
-  if (reservee && purpose) {
-    return { title: reservee, subtitle: purpose };
+  const floors = config?.floors ?? [];
+  if (!Array.isArray(floors)) problems.push("floors must be an array");
+  else {
+    floors.forEach((floor, i) => {
+      const where = `floors[${i}]${isNonEmptyString(floor?.id) ? ` (${floor.id})` : ""}`;
+      if (!isNonEmptyString(floor?.id)) problems.push(`${where}: id must be a non-empty string`);
+      if (!isNonEmptyString(floor?.fullFacility)) problems.push(`${where}: fullFacility must be a non-empty string`);
+      if (!Array.isArray(floor?.rooms) || !floor.rooms.length) {
+        problems.push(`${where}: rooms must be a non-empty array`);
+      } else {
+        for (const id of floor.rooms) {
+          if (!roomIds.has(id)) problems.push(`${where}: unknown room "${id}"`);
+        }
+      }
+    });
   }
-  if (reservee && !purpose) {
-    return { title: reservee, subtitle: "" };
+
+  if (problems.length) {
+    throw new Error(
+      `facility-config.mjs is invalid:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+    );
   }
 
-  // Fallback
-  return { title: "Reserved", subtitle: "" };
+  return config;
 }
 
 // ---------- Helpers ----------
 
-// "7:30pm -  9:30pm" -> [startMin, endMin]
-function parseTimeRange(rangeStr) {
-  if (!rangeStr) return [null, null];
+// One side of a time range -> { min, meridiem } or null.
+// Accepts "7:30pm", "7pm", "7:30 p.m.", "19:30", "0930", "noon", "midnight".
+// meridiem is null when the text doesn't say (e.g. "7:30" or "19:30").
+function parseClock(raw) {
+  const s = raw.trim().toLowerCase().replace(/\./g, "");
+
+  if (s === "noon") return { min: 12 * 60, meridiem: "pm" };
+  if (s === "midnight") return { min: 0, meridiem: "am" };
+
+  const m = s.match(/^(\d{1,2})(?::?(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!m) return null;
+
+  const [, hh, mm = "00", ampm] = m;
+  let h = parseInt(hh, 10);
+  const minutes = parseInt(mm, 10);
+  if (minutes > 59) return null;
+
+  if (ampm) {
+    if (h < 1 || h > 12) return null;
+    const meridiem = ampm.startsWith("p") ? "pm" : "am";
+    if (meridiem === "pm" && h !== 12) h += 12;
+    if (meridiem === "am" && h === 12) h = 0;
+    return { min: h * 60 + minutes, meridiem };
+  }
 
-  const parts = rangeStr.split("-");
-  if (parts.length !== 2) return [null, null];
+  // No am/pm: 24h clock ("24:00" only makes sense as an end time)
+  if (h > 24 || (h === 24 && minutes > 0)) return null;
+  // "9" or "11:30" could still be either half of the day; "09:00" or "21:00" can't
+  const ambiguous = h >= 1 && h <= 12 && !hh.startsWith("0");
+  return { min: h * 60 + minutes, meridiem: null, ambiguous };
+}
 
-  const [startRaw, endRaw] = parts.map((s) => s.trim());
+// Read a clock with no am/pm as the meridiem the other side used,
+// flipping it if that would put the range backwards ("11 - 1pm" is 11am).
+function inferMeridiem(clock, other, isStart) {
+  if (clock.meridiem || !other.meridiem || !clock.ambiguous) return clock.min;
 
-  const toMin = (s) => {
-    const m = s.match(/^(\d{1,2}):(\d{2})(am|pm)$/i);
-    if (!m) return null;
+  const base = clock.min % (12 * 60);
+  const same = base + (other.meridiem === "pm" ? 12 * 60 : 0);
+  const flipped = base + (other.meridiem === "pm" ? 0 : 12 * 60);
+  const inOrder = isStart ? same < other.min : same > other.min;
+  return inOrder ? same : flipped;
+}
 
-    let [, hh, mm, ampm] = m;
-    let h = parseInt(hh, 10);
-    const minutes = parseInt(mm, 10);
-    ampm = ampm.toLowerCase();
+// "7:30pm -  9:30pm" -> { startMin: 1170, endMin: 1290 }
+// Ranges that cross midnight ("11:00pm - 1:00am") end past 1440; the
+// caller splits them across days. Unreadable ranges -> { error }, as are
+// ranges where neither side says am or pm ("9 - 5" could be 9am-5pm or an
+// overnight 9pm-5am).
+export function parseTimeRange(rangeStr) {
+  const text = String(rangeStr || "").trim();
+  if (!text) return { error: "empty time range" };
+
+  const parts = text.split(/\s*(?:-|–|—|\bto\b)\s*/i);
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return { error: `expected "start - end", got "${text}"` };
+  }
 
-    if (ampm === "pm" && h !== 12) h += 12;
-    if (ampm === "am" && h === 12) h = 0;
+  const start = parseClock(parts[0]);
+  const end = parseClock(parts[1]);
+  if (!start) return { error: `unreadable start time "${parts[0]}"` };
+  if (!end) return { error: `unreadable end time "${parts[1]}"` };
+  if (start.ambiguous && end.ambiguous) return { error: `no am/pm in "${text}"` };
 
-    return h * 60 + minutes;
-  };
+  const startMin = inferMeridiem(start, end, true);
+  let endMin = inferMeridiem(end, start, false);
+
+  if (endMin === startMin) {
+    return { error: `start and end are the same ("${text}")` };
+  }
+
+  // Overnight: "11:00pm - 1:00am" ends on the next day
+  if (endMin < startMin) endMin += 24 * 60;
 
-  return [toMin(startRaw), toMin(endRaw)];
+  return { startMin, endMin };
 }
 
-// Season: if ANY row in column E is "Turf Season per NM" → turf, else courts
-function detectSeason(rows) {
-  const TURF_MARKERS = new Set([
-    "turf season per nm",
-    "no courts; turf installed",
-  ]);
+// "2025-11-03" -> "2025-11-04"
+function nextDateKey(dateKey) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return toDateKey(new Date(y, m - 1, d + 1));
+}
+
+// Split a slot that runs past midnight into one slot per day
+function splitAtMidnight(slot) {
+  const DAY = 24 * 60;
+  if (slot.endMin <= DAY) return [slot];
+
+  return [
+    { ...slot, endMin: DAY },
+    ...splitAtMidnight({
+      ...slot,
+      date: nextDateKey(slot.date),
+      startMin: 0,
+      endMin: slot.endMin - DAY,
+    }),
+  ];
+}
+
+// Season: if ANY row's purpose is a turf marker (e.g. "Turf Season per NM")
+// → turf, else the configured default ("courts")
+export function detectSeason(rows) {
+  const TURF_MARKERS = new Set(
+    FACILITY_CONFIG.season.turfMarkers.map((m) => m.trim().toLowerCase())
+  );
 
   for (const row of rows) {
-    const value = String(row[COL_SEASON] || "")
-      .trim()
-      .toLowerCase();
+    const value = row.purpose.toLowerCase();
 
     if (TURF_MARKERS.has(value)) {
       return "turf";
     }
   }
 
-  return "courts";
+  return FACILITY_CONFIG.season.default;
 }
 
-// ---------- Core CSV → slots logic using group + AND rules ----------
+// ---------- Report dates ----------
+// Slots are dated "YYYY-MM-DD" (local time, TZ=America/Chicago in CI).
+// A date column, when the export has one, dates each row on its own and
+// lets one report cover several days. Otherwise the whole report gets a
+// single date, taken from (first match wins):
+//   1) REPORT_DATE env var
+//   2) a date in the CSV file name, or in the original file name from the
+//      meta sidecar (the email attachment, dropped or uploaded file)
+//   3) when the report was received: email date, pull or upload time (meta sidecar)
+//   4) today, with a warning
+
+function toDateKey(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function makeDateKey(y, m, d) {
+  let year = parseInt(y, 10);
+  if (year < 100) year += 2000;
+  const date = new Date(year, parseInt(m, 10) - 1, parseInt(d, 10));
+  if (
+    date.getFullYear() !== year ||
+    date.getMonth() !== parseInt(m, 10) - 1 ||
+    date.getDate() !== parseInt(d, 10)
+  ) {
+    return null;
+  }
+  return toDateKey(date);
+}
 
-function loadSlotsFromCsv(csvPath) {
-  const csvText = fs.readFileSync(csvPath, "utf8");
+// "2025-11-03", "20251103", "11032025", "11/3/2025", "11-03-25",
+// "Monday, November 3, 2025" -> "2025-11-03"
+export function parseDateKey(value) {
+  const s = String(value || "").trim();
+  if (!s) return null;
+
+  let m = s.match(/(\d{4})[-_/.]?(\d{2})[-_/.]?(\d{2})(?!\d)/);
+  const ymd = m && makeDateKey(m[1], m[2], m[3]);
+  if (ymd) return ymd;
+
+  // Eight digits that aren't a valid YYYYMMDD may be MMDDYYYY
+  m = s.match(/(?<!\d)(\d{2})(\d{2})(\d{4})(?!\d)/);
+  const mdy = m && makeDateKey(m[3], m[1], m[2]);
+  if (mdy) return mdy;
+
+  m = s.match(/(\d{1,2})[-_/.](\d{1,2})[-_/.](\d{4}|\d{2})(?!\d)/);
+  if (m) return makeDateKey(m[3], m[1], m[2]);
+
+  if (/[a-z]{3}/i.test(s)) {
+    const d = new Date(s);
+    if (!Number.isNaN(d.getTime())) return toDateKey(d);
+  }
+
+  return null;
+}
+
+// "data/inbox/latest.csv" -> "data/inbox/latest.meta.json"
+export function metaPathFor(csvPath) {
+  return csvPath.replace(/\.[^./\\]+$/, "") + ".meta.json";
+}
 
-  const records = parse(csvText, {
-    skip_empty_lines: true,
+export function readMeta(metaPath) {
+  if (!metaPath || !fs.existsSync(metaPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, "utf8"));
+  } catch (err) {
+    console.warn(`Ignoring unreadable meta file ${metaPath}: ${err.message}`);
+    return null;
+  }
+}
+
+function resolveReportDate(csvPath, meta, override = process.env.REPORT_DATE) {
+  const fromEnv = parseDateKey(override);
+  if (fromEnv) return { date: fromEnv, from: "REPORT_DATE" };
+
+  const fromName = parseDateKey(path.basename(csvPath)) || parseDateKey(meta?.attachment);
+  if (fromName) return { date: fromName, from: "file name" };
+
+  if (meta?.date) {
+    const received = new Date(meta.date);
+    if (!Number.isNaN(received.getTime())) {
+      return { date: toDateKey(received), from: `${meta.source || "email"} date` };
+    }
+  }
+
+  console.warn("No report date found; assuming the report is for today.");
+  return { date: toDateKey(new Date()), from: "today" };
+}
+
+// ---------- Reading the report ----------
+// RecTrac exports CSV or Excel depending on how the report is set up. The
+// format is sniffed from the first bytes rather than the file name (the
+// inbox copy is always called latest.csv):
+//   50 4B 03 04               .xlsx (a zip)
+//   D0 CF 11 E0 A1 B1 1A E1   legacy .xls (OLE2 compound file)
+//   anything else             CSV text
+// Workbooks are read from the sheet named by IN_SHEET, or the first sheet.
+
+const XLSX_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const XLS_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+export function detectFormat(buffer) {
+  if (buffer.subarray(0, XLSX_MAGIC.length).equals(XLSX_MAGIC)) return "xlsx";
+  if (buffer.subarray(0, XLS_MAGIC.length).equals(XLS_MAGIC)) return "xls";
+  return "csv";
+}
+
+function readSheetRows(buffer, sheetName) {
+  const workbook = XLSX.read(buffer, { type: "buffer", dateNF: "yyyy-mm-dd" });
+  const name = sheetName || workbook.SheetNames[0];
+  const sheet = workbook.Sheets[name];
+  if (!sheet) {
+    throw new Error(`Workbook has no sheet "${name}" (sheets: ${workbook.SheetNames.join(", ")})`);
+  }
+  // Cells as Excel displays them ("7:00 PM - 9:00 PM", dates as yyyy-mm-dd),
+  // so the rows look like the CSV export's
+  return { sheet: name, records: XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "", blankrows: false }) };
+}
+
+// Report file -> { format, sheet?, records: [[cell, …], …] }
+export function readReportRows(file, { sheet = process.env.IN_SHEET } = {}) {
+  const buffer = fs.readFileSync(file);
+  const format = detectFormat(buffer);
+  if (format !== "csv") return { format, ...readSheetRows(buffer, sheet) };
+  return { format, records: parse(buffer.toString("utf8"), { skip_empty_lines: true }) };
+}
+
+// Excel exports tend to put a title and run date above the header, so the
+// header is the first row (of the first few) naming every required column.
+// Falls back to the first row, for resolveColumns to report what's missing.
+function findHeaderRow(records, scanRows = 20) {
+  const required = COLUMNS.filter((col) => col.required);
+  const index = records.slice(0, scanRows).findIndex((row) => {
+    const labels = new Set(row.map(normalizeHeader));
+    return required.every((col) => col.aliases.some((a) => labels.has(normalizeHeader(a))));
   });
+  return Math.max(index, 0);
+}
 
-  const [header, ...rows] = records;
+// ---------- Core CSV → slots logic using group + AND rules ----------
+
+// Report file -> { format, sheet?, headerRow, rows: [{ facility, timeRange, reservee, … }] }
+// (headerRow is the header's index among the file's non-empty rows)
+export function readReportRecords(file, { sheet } = {}) {
+  const { records, ...source } = readReportRows(file, { sheet });
+  const headerRow = findHeaderRow(records);
+  const [header, ...rawRows] = records.slice(headerRow);
+  const columns = resolveColumns(header);
+  return { ...source, headerRow, rows: rawRows.map((row) => toRecord(row, columns)) };
+}
 
-  // Group rows into logical reservations by (reservee, purpose, timeRange)
+export function loadSlotsFromCsv(csvPath, reportDate, { sheet } = {}) {
+  const { format, sheet: sheetName, rows } = readReportRecords(csvPath, { sheet });
+
+  // Group rows into logical reservations by (date, reservee, purpose, timeRange)
   const groups = new Map();
-  const allFacilities = new Set(); // for debugging
+  const facilityRows = new Map(); // facility -> row count, for the reconciliation report
 
   for (const row of rows) {
-    const facility = String(row[COL_FACILITY] || "").trim();
-    const timeRange = String(row[COL_TIMERANGE] || "").trim();
-    const reservee = String(row[COL_RESERVEE] || "").trim();
-    const purpose  = String(row[COL_PURPOSE]  || "").trim();
+    const { facility, timeRange, reservee, purpose } = row;
 
     if (!facility || !timeRange || !reservee) continue;
 
-    allFacilities.add(facility);
+    facilityRows.set(facility, (facilityRows.get(facility) || 0) + 1);
 
-    const key = `${reservee}||${purpose}||${timeRange}`;
+    const date = parseDateKey(row.date) || reportDate;
+    const key = `${date}||${reservee}||${purpose}||${timeRange}`;
     let g = groups.get(key);
     if (!g) {
       g = {
+        // Stable id for the reservation, so calendar feeds can tell it apart
+        // from its (renameable) title without publishing the reservee
+        reservation: crypto.createHash("sha1").update(key).digest("hex").slice(0, 12),
+        date,
         reservee,
         purpose,
         timeRange,
         facilities: new Set(),
+        roomIds: [], // rooms whose rule matched
+        slots: [],   // slots created for this group
       };
       groups.set(key, g);
     }
@@ -313,72 +540,382 @@ function loadSlotsFromCsv(csvPath) {
 
   const slots = [];
   const seenSlots = new Set();
+  const timeWarnings = [];
 
   for (const group of groups.values()) {
-    const [startMin, endMin] = parseTimeRange(group.timeRange);
-    if (startMin == null || endMin == null) continue;
+    const { startMin, endMin, error } = parseTimeRange(group.timeRange);
+    if (error) {
+      group.timeError = error;
+      timeWarnings.push({
+        date: group.date,
+        reservee: group.reservee,
+        purpose: group.purpose,
+        timeRange: group.timeRange,
+        facilities: Array.from(group.facilities).sort(),
+        reason: error,
+      });
+      continue;
+    }
+    group.startMin = startMin;
+    group.endMin = endMin;
 
     const facilitiesSet = group.facilities;
-    const { title, subtitle } = makeTitleSubtitle(
-      group.reservee,
-      group.purpose
-    );
+    const { title, subtitle } = nameReservation(group.reservee, group.purpose);
 
-    for (const rule of ROOM_RULES) {
+    for (const room of FACILITY_CONFIG.rooms) {
       // Check if ALL required facilities are present for this room
-      const ok = rule.facilities.every((needed) =>
+      const ok = room.facilities.every((needed) =>
         facilitiesSet.has(needed)
       );
       if (!ok) continue;
+      group.roomIds.push(room.id);
 
-      const key = `${rule.roomId}|${startMin}|${endMin}|${title}`;
+      const key = `${room.id}|${group.date}|${startMin}|${endMin}|${title}`;
       if (seenSlots.has(key)) continue;
       seenSlots.add(key);
 
-      slots.push({
-        roomId: rule.roomId,
+      const roomSlots = splitAtMidnight({
+        roomId: room.id,
+        date: group.date,
         startMin,
         endMin,
         title,
         subtitle,
+        reservation: group.reservation,
       });
+      group.slots.push(...roomSlots);
+      slots.push(...roomSlots);
     }
   }
 
-  return { slots, rows, allFacilities };
+  slots.sort(
+    (a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin
+  );
+
+  return {
+    format,
+    sheet: sheetName,
+    slots,
+    rows,
+    groups: Array.from(groups.values()),
+    facilityRows,
+    timeWarnings,
+  };
 }
 
-// ---------- Main ----------
+// ---------- Conflicts ----------
+// Two reservations conflict when they overlap in time on the same date and
+// share a room. A full-floor booking (every room on a floor, or only the
+// floor's whole-floor facility) takes every room on that floor, so it also
+// clashes with half-court bookings there. Identical slots are still
+// collapsed on the board, but every clash is listed here.
+
+function groupRooms(group) {
+  const rooms = new Set(group.roomIds);
+  const fullFloors = [];
+
+  for (const floor of FACILITY_CONFIG.floors || []) {
+    if (!group.facilities.has(floor.fullFacility)) continue;
+
+    const matched = floor.rooms.filter((id) => rooms.has(id));
+    if (matched.length === 0 || matched.length === floor.rooms.length) {
+      fullFloors.push(floor);
+      floor.rooms.forEach((id) => rooms.add(id));
+    }
+  }
+
+  return { rooms, fullFloors };
+}
+
+function detectConflicts(groups) {
+  // One candidate per group per date it covers: an overnight booking is
+  // also checked against the next day's bookings (split like its slots)
+  const candidates = groups
+    .filter((g) => !g.timeError)
+    .map((g, id) => ({ id, group: g, ...groupRooms(g) }))
+    .filter((c) => c.rooms.size > 0)
+    .flatMap((c) =>
+      splitAtMidnight({ date: c.group.date, startMin: c.group.startMin, endMin: c.group.endMin }).map((day) => ({
+        ...c,
+        ...day,
+      }))
+    )
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin);
+
+  const conflicts = [];
+  const reported = new Set(); // "id|id": two overnight bookings can clash on both days
+
+  for (let i = 0; i < candidates.length; i++) {
+    const a = candidates[i];
+    for (let j = i + 1; j < candidates.length; j++) {
+      const b = candidates[j];
+      if (b.date !== a.date) break;
+      if (b.startMin >= a.endMin) break;
+
+      const rooms = FACILITY_CONFIG.rooms
+        .map((r) => r.id)
+        .filter((id) => a.rooms.has(id) && b.rooms.has(id));
+      if (!rooms.length) continue;
+
+      const floors = [...a.fullFloors, ...b.fullFloors]
+        .filter((f) => f.rooms.some((id) => rooms.includes(id)))
+        .map((f) => f.id);
+
+      for (const { group } of [a, b]) {
+        for (const slot of group.slots) {
+          if (slot.date === a.date && rooms.includes(slot.roomId)) slot.conflict = true;
+        }
+      }
+
+      const pair = [a.id, b.id].sort((x, y) => x - y).join("|");
+      if (reported.has(pair)) continue;
+      reported.add(pair);
+
+      const describe = ({ group }) => ({
+        date: group.date,
+        reservee: group.reservee,
+        purpose: group.purpose,
+        timeRange: group.timeRange,
+        startMin: group.startMin,
+        endMin: group.endMin,
+      });
+
+      conflicts.push({
+        date: a.date,
+        kind: floors.length ? "full-floor" : "room",
+        floors: Array.from(new Set(floors)),
+        rooms,
+        startMin: Math.max(a.startMin, b.startMin),
+        endMin: Math.min(a.endMin, b.endMin),
+        bookings: [describe(a), describe(b)],
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+function formatConflicts(conflicts) {
+  const lines = [`Conflicts (${conflicts.length}):`];
+  if (!conflicts.length) lines.push("  (none)");
+  for (const c of conflicts) {
+    const where = c.kind === "full-floor" ? `full floor ${c.floors.join(", ")}` : "same room";
+    lines.push(`  - ${c.date} rooms ${c.rooms.join(", ")} (${where})`);
+    for (const b of c.bookings) {
+      const from = b.date !== c.date ? ` (from ${b.date})` : "";
+      lines.push(`      ${b.timeRange}${from}  ${[b.reservee, b.purpose].filter(Boolean).join(" / ")}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ---------- Reconciliation report ----------
+// Explains what in the CSV did NOT make it onto the board, so a RecTrac
+// facility rename shows up as a report entry instead of missing bookings:
+//  - unknownFacilities: names no room rule (or ignoredFacilities) mentions
+//  - unmatchedGroups:   reservations that matched no room at all
+//  - partialMatches:    reservations that booked a facility only one room
+//                       uses (e.g. "Half Court 1A") but lack the rest of
+//                       that room's rule (e.g. "Court 1-AB")
+//  - timeWarnings:      reservations whose time range couldn't be read
+
+function buildReconciliation({ groups, facilityRows, slots, timeWarnings }) {
+  const known = new Set(FACILITY_CONFIG.ignoredFacilities || []);
+  const usage = new Map(); // facility -> number of rooms requiring it
+  for (const room of FACILITY_CONFIG.rooms) {
+    for (const f of room.facilities) {
+      known.add(f);
+      usage.set(f, (usage.get(f) || 0) + 1);
+    }
+  }
+
+  const unknownFacilities = Array.from(facilityRows)
+    .filter(([facility]) => !known.has(facility))
+    .map(([facility, rows]) => ({ facility, rows }))
+    .sort((a, b) => a.facility.localeCompare(b.facility));
+
+  const describe = (group) => ({
+    date: group.date,
+    reservee: group.reservee,
+    purpose: group.purpose,
+    timeRange: group.timeRange,
+    facilities: Array.from(group.facilities).sort(),
+  });
+
+  const unmatchedGroups = groups
+    .filter((g) => g.roomIds.length === 0 && !g.timeError)
+    .map(describe);
 
-async function run() {
-  // Use env vars from build.yml if provided, otherwise fall back for local dev
-  const inputCsv   = process.env.IN_CSV   || "./data/input.csv";
-  const outputJson = process.env.OUT_JSON || "./events.json";
+  const partialMatches = [];
+  for (const group of groups.filter((g) => !g.timeError)) {
+    for (const room of FACILITY_CONFIG.rooms) {
+      if (group.roomIds.includes(room.id)) continue;
 
+      const distinctive = room.facilities.filter((f) => usage.get(f) === 1);
+      if (!distinctive.some((f) => group.facilities.has(f))) continue;
+
+      partialMatches.push({
+        ...describe(group),
+        roomId: room.id,
+        missing: room.facilities.filter((f) => !group.facilities.has(f)),
+      });
+    }
+  }
+
+  return {
+    counts: {
+      groups: groups.length,
+      slots: slots.length,
+      unknownFacilities: unknownFacilities.length,
+      unmatchedGroups: unmatchedGroups.length,
+      partialMatches: partialMatches.length,
+      timeWarnings: timeWarnings.length,
+    },
+    unknownFacilities,
+    unmatchedGroups,
+    partialMatches,
+    timeWarnings,
+  };
+}
+
+function formatReconciliation(rec) {
+  const lines = [];
+  const when = (g) => `${g.date} ${g.timeRange}`;
+  const who = (g) => [g.reservee, g.purpose].filter(Boolean).join(" / ");
+
+  lines.push(
+    `Reconciliation: ${rec.counts.groups} reservations -> ${rec.counts.slots} slots`
+  );
+
+  lines.push("", `Unknown facilities (${rec.unknownFacilities.length}):`);
+  if (!rec.unknownFacilities.length) lines.push("  (none)");
+  for (const u of rec.unknownFacilities) {
+    lines.push(`  - ${u.facility} (${u.rows} row${u.rows === 1 ? "" : "s"})`);
+  }
+
+  lines.push("", `Reservations that matched no room (${rec.unmatchedGroups.length}):`);
+  if (!rec.unmatchedGroups.length) lines.push("  (none)");
+  for (const g of rec.unmatchedGroups) {
+    lines.push(`  - ${when(g)}  ${who(g)}`);
+    lines.push(`      facilities: ${g.facilities.join("; ")}`);
+  }
+
+  lines.push("", `Partial room matches (${rec.partialMatches.length}):`);
+  if (!rec.partialMatches.length) lines.push("  (none)");
+  for (const p of rec.partialMatches) {
+    lines.push(`  - ${p.roomId}: ${when(p)}  ${who(p)}`);
+    lines.push(`      missing: ${p.missing.join("; ")}`);
+  }
+
+  lines.push("", `Unreadable time ranges (${rec.timeWarnings.length}):`);
+  if (!rec.timeWarnings.length) lines.push("  (none)");
+  for (const w of rec.timeWarnings) {
+    lines.push(`  - ${w.date} "${w.timeRange}"  ${who(w)}`);
+    lines.push(`      ${w.reason}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// ---------- Main ----------
+
+// Options default to the env vars from build.yml, then to local dev paths.
+// scripts/archive.mjs passes them explicitly to re-run an archived day.
+export async function run({
+  inputCsv   = process.env.IN_CSV   || "./data/input.csv",
+  outputJson = process.env.OUT_JSON || "./events.json",
+  inputMeta  = process.env.IN_META  || metaPathFor(inputCsv),
+  // Report files go next to events.json unless OUT_REPORT is set
+  // (OUT_REPORT is the .json path; the .txt summary sits beside it)
+  outputReport =
+    process.env.OUT_REPORT ||
+    path.join(path.dirname(outputJson), "reconciliation.json"),
+  reportDate = process.env.REPORT_DATE,
+  // Worksheet to read when the report is an Excel workbook (default: first)
+  sheet = process.env.IN_SHEET,
+  // Exit non-zero (after writing everything) when bookings conflict
+  failOnConflict = process.env.FAIL_ON_CONFLICT === "true",
+} = {}) {
   console.log(`Using input CSV:  ${inputCsv}`);
   console.log(`Writing events to: ${outputJson}`);
 
-  const { slots, rows, allFacilities } = loadSlotsFromCsv(inputCsv);
+  validateFacilityConfig(FACILITY_CONFIG);
+  validateNamingRules(NAMING_RULES);
+
+  const meta = readMeta(inputMeta);
+  // Sidecars from before ingest adapters are all from fetch_email.js
+  const { source: sourceType = "email", date: receivedAt, ...sourceDetails } = meta || {};
+  const report = resolveReportDate(inputCsv, meta, reportDate);
+  console.log(`Report date: ${report.date} (from ${report.from})`);
+
+  const { format, sheet: sheetName, slots, rows, groups, facilityRows, timeWarnings } = loadSlotsFromCsv(
+    inputCsv,
+    report.date,
+    { sheet }
+  );
+  if (format !== "csv") console.log(`Read ${format} workbook, sheet "${sheetName}"`);
   const season = detectSeason(rows);
+  const dates = Array.from(new Set(slots.map((s) => s.date))).sort();
+  const conflicts = detectConflicts(groups);
 
   const data = {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    source: {
+      type: meta ? sourceType : "file",
+      file: path.basename(inputCsv),
+      format,
+      ...(sheetName && { sheet: sheetName }),
+      ...(meta && { ...sourceDetails, receivedAt }),
+      reportDateFrom: report.from,
+    },
     season, // "turf" or "courts"
+    reportDate: dates[0] || report.date,
+    dates,
     slots,
+    conflicts,
   };
 
+  // Never publish something the boards will refuse
+  assertValidEvents(data);
+
   fs.writeFileSync(outputJson, JSON.stringify(data, null, 2));
 
-  console.log("Facilities seen in CSV (for debugging):");
-  for (const f of Array.from(allFacilities).sort()) {
-    console.log("  -", f);
-  }
+  const reconciliation = buildReconciliation({
+    groups,
+    facilityRows,
+    slots,
+    timeWarnings,
+  });
+  const summary = [formatReconciliation(reconciliation), formatConflicts(conflicts)].join("\n");
+  fs.writeFileSync(
+    outputReport,
+    JSON.stringify(
+      { generatedAt: data.generatedAt, input: inputCsv, ...reconciliation, conflicts },
+      null,
+      2
+    )
+  );
+  fs.writeFileSync(outputReport.replace(/\.json$/, "") + ".txt", summary);
+
+  console.log(summary);
 
   console.log(
-    `Wrote ${slots.length} slots to ${outputJson} with season="${season}".`
+    `Wrote ${slots.length} slots for ${dates.join(", ") || report.date} to ${outputJson} with season="${season}".`
   );
+
+  if (conflicts.length && failOnConflict) {
+    throw new Error(`${conflicts.length} booking conflict(s) found (FAIL_ON_CONFLICT is set).`);
+  }
+
+  return data;
 }
 
-run().catch((err) => {
-  console.error("transform.mjs failed:", err);
-  process.exit(1);
-});
+// Only run when executed directly (`node scripts/transform.mjs`), not on import
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  run().catch((err) => {
+    console.error("transform.mjs failed:", err);
+    process.exit(1);
+  });
+}
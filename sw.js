@@ -0,0 +1,117 @@
+// sw.js
+// Service worker for the board. Keeps the page, its assets and the last
+// good events.json in Cache Storage so a display that reboots while the
+// network (or the server) is down still comes up with the schedule.
+//
+//   assets       stale-while-revalidate: served from cache, refreshed in the background
+//   events.json  network-first; only cached when it parses and has slots (or events),
+//                served from cache when the network fails, marked with an
+//                "X-Board-Cache: offline" header so app.js can say it's offline
+//   overrides.json  network-first the same way (staff edits must show up at once)
+//   /api/*       never cached (live data and the SSE stream)
+
+const CACHE_NAME = "raec-board-v4";
+
+const ASSETS = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./style.css",
+  "./logo.png",
+  "./facility-config.mjs",
+  "./schedule.mjs",
+  "./events-schema.mjs",
+  "./display-profiles.mjs",
+  "./overrides.mjs",
+  "./visibility.mjs",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((k) => k !== CACHE_NAME).map((k) => caches.delete(k)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+
+  if (req.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.includes("/api/")) return;
+
+  if (url.pathname.endsWith("/events.json") || url.pathname.endsWith("/overrides.json")) {
+    event.respondWith(dataNetworkFirst(req));
+  } else {
+    event.respondWith(staleWhileRevalidate(req));
+  }
+});
+
+// Cache key ignores the conditional headers the board sends
+function dataKey(req) {
+  return new Request(new URL(req.url).pathname);
+}
+
+const nonEmpty = (list) => Array.isArray(list) && list.length > 0;
+
+// An empty board from a bad build is never what to show offline; an empty
+// overrides.json is fine
+async function isUsable(res) {
+  try {
+    const data = await res.clone().json();
+    return Boolean(data && (nonEmpty(data.slots) || nonEmpty(data.events) || Array.isArray(data.overrides)));
+  } catch {
+    return false;
+  }
+}
+
+// A cached response, marked so the page can tell it from a fresh one
+function fromCache(res) {
+  const headers = new Headers(res.headers);
+  headers.set("X-Board-Cache", "offline");
+  return new Response(res.body, { status: res.status, statusText: res.statusText, headers });
+}
+
+async function dataNetworkFirst(req) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const res = await fetch(req);
+    if (res.ok && (await isUsable(res))) {
+      await cache.put(dataKey(req), res.clone());
+    }
+    return res;
+  } catch (err) {
+    const cached = await cache.match(dataKey(req));
+    if (cached) return fromCache(cached);
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(req) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(req, { ignoreSearch: true });
+
+  const network = fetch(req)
+    .then((res) => {
+      if (res.ok) cache.put(req, res.clone());
+      return res;
+    })
+    .catch(() => null);
+
+  if (cached) return cached;
+  const res = await network;
+  return res || new Response("Offline", { status: 503, statusText: "Offline" });
+}
@@ -0,0 +1,207 @@
+// fetch-email.test.mjs
+// scripts/fetch_email.js against a local IMAP server (fixtures/imap-server.mjs):
+// standard SEARCH, Gmail's X-GM-RAW when X-GM-EXT-1 is offered, IMAP_FOLDERS,
+// the UID state held until --published, ALLOWED_SENDERS in CI, and that an
+// allowed From address also needs a DKIM/SPF pass in Authentication-Results.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { fileURLToPath } from "url";
+import { startImapServer } from "./fixtures/imap-server.mjs";
+
+const SCRIPT = fileURLToPath(new URL("../scripts/fetch_email.js", import.meta.url));
+const SENDER = "reports@rectrac.example";
+const REPORT = "Facility,Reserved Time,Reservee,Reservation Purpose\r\n";
+
+const scratchDirs = [];
+after(() => scratchDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function message(uid, fields = {}) {
+  return {
+    uid,
+    subject: "AC Daily Facility Report",
+    from: SENDER,
+    date: new Date(),
+    attachment: { filename: "report.csv", content: REPORT },
+    authResults: ["mx.example.org; dkim=pass header.d=rectrac.example; spf=pass smtp.mailfrom=reports@rectrac.example"],
+    ...fields,
+  };
+}
+
+function scratchDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fetch-email-"));
+  scratchDirs.push(dir);
+  return dir;
+}
+
+// Runs fetch_email.js in a scratch directory (or `dir`, to keep its state
+// between runs) -> { code, output, dir, read(file) }
+function fetchEmail(server, env = {}, { dir = scratchDir(), args = [] } = {}) {
+  const githubOutput = path.join(dir, "github-output.txt");
+  fs.rmSync(githubOutput, { force: true });
+  const childEnv = {
+    PATH: process.env.PATH,
+    IMAP_HOST: "127.0.0.1",
+    IMAP_PORT: String(server.port),
+    IMAP_SECURE: "false",
+    IMAP_USER: "board@example.org",
+    IMAP_PASS: "secret",
+    ALLOWED_SENDERS: SENDER,
+    GITHUB_OUTPUT: githubOutput,
+    NOTIFY_FILE: path.join(dir, "alerts.log"),
+    ...env,
+  };
+
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SCRIPT, ...args], { cwd: dir, env: childEnv, timeout: 20_000 }, (err, stdout, stderr) => {
+      const read = (file) => {
+        const p = path.join(dir, file);
+        return fs.existsSync(p) ? fs.readFileSync(p, "utf8") : null;
+      };
+      resolve({ code: err ? err.code : 0, log: stdout + stderr, output: read("github-output.txt") || "", dir, read });
+    });
+  });
+}
+
+const searches = (server) => server.commands.filter((c) => / SEARCH /i.test(c));
+const examined = (server) =>
+  server.commands.filter((c) => / EXAMINE /i.test(c)).map((c) => c.split(" ").slice(2).join(" ").replace(/"/g, ""));
+
+test("standard SEARCH finds the report in the \\All folder", async (t) => {
+  const server = await startImapServer({
+    folders: {
+      INBOX: [message(1, { subject: "Unrelated", attachment: null })],
+      Archive: { specialUse: "\\All", messages: [message(7)] },
+    },
+  });
+  t.after(() => server.close());
+
+  const run = await fetchEmail(server);
+  assert.equal(run.code, 0, run.log);
+  assert.match(run.output, /new_report=true/);
+  assert.equal(run.read("data/inbox/latest.csv"), REPORT);
+  assert.equal(JSON.parse(run.read("data/inbox/latest.meta.json")).mailbox, "Archive");
+
+  assert.deepEqual(examined(server).filter((b, i, all) => all.indexOf(b) === i), ["INBOX", "Archive"]);
+  assert.ok(searches(server).length > 0);
+  for (const line of searches(server)) {
+    assert.match(line, /SINCE/);
+    assert.doesNotMatch(line, /X-GM-RAW/);
+  }
+});
+
+test("X-GM-RAW is used when the server offers X-GM-EXT-1", async (t) => {
+  const server = await startImapServer({
+    gmail: true,
+    folders: {
+      INBOX: [message(3)],
+      "[Gmail]/All Mail": { specialUse: "\\All", messages: [message(3)] },
+    },
+  });
+  t.after(() => server.close());
+
+  const run = await fetchEmail(server);
+  assert.equal(run.code, 0, run.log);
+  assert.equal(run.read("data/inbox/latest.csv"), REPORT);
+  assert.ok(searches(server).length > 0);
+  for (const line of searches(server)) assert.match(line, /X-GM-RAW/);
+  assert.ok(searches(server).some((line) => line.includes('subject:\\"AC Daily Facility\\"')));
+});
+
+test("SEARCH_MODE=standard skips X-GM-RAW even on Gmail", async (t) => {
+  const server = await startImapServer({ gmail: true, folders: { INBOX: [message(3)] } });
+  t.after(() => server.close());
+
+  const run = await fetchEmail(server, { SEARCH_MODE: "standard", SEARCH_IN_ALLMAIL: "false" });
+  assert.equal(run.code, 0, run.log);
+  for (const line of searches(server)) assert.doesNotMatch(line, /X-GM-RAW/);
+});
+
+test("IMAP_FOLDERS limits the search to the folders listed", async (t) => {
+  const server = await startImapServer({
+    folders: {
+      INBOX: [message(1, { subject: "AC Daily Facility Report (old copy)", date: new Date(Date.now() - 3 * 86400_000) })],
+      "Reports/RecTrac": [message(5, { attachment: { filename: "daily.xlsx", content: "PK-not-really" } })],
+      Archive: { specialUse: "\\All", messages: [] },
+    },
+  });
+  t.after(() => server.close());
+
+  const run = await fetchEmail(server, { IMAP_FOLDERS: "Reports/RecTrac" });
+  assert.equal(run.code, 0, run.log);
+  assert.deepEqual([...new Set(examined(server))], ["Reports/RecTrac"]);
+
+  const meta = JSON.parse(run.read("data/inbox/latest.meta.json"));
+  assert.equal(meta.mailbox, "Reports/RecTrac");
+  assert.equal(meta.attachment, "daily.xlsx");
+});
+
+test("a fetched report is fetched again until it's marked published", async (t) => {
+  const server = await startImapServer({ folders: { INBOX: [message(4)] } });
+  t.after(() => server.close());
+  const dir = scratchDir();
+
+  const first = await fetchEmail(server, {}, { dir });
+  assert.equal(first.code, 0, first.log);
+  assert.match(first.output, /new_report=true/);
+
+  // e.g. the transform failed: nothing was confirmed, so the report comes back
+  const retry = await fetchEmail(server, {}, { dir });
+  assert.equal(retry.code, 0, retry.log);
+  assert.match(retry.output, /new_report=true/);
+
+  const published = await fetchEmail(server, {}, { dir, args: ["--published"] });
+  assert.equal(published.code, 0, published.log);
+  const state = JSON.parse(published.read("data/state/fetch-state.json"));
+  assert.equal(state.pending, null);
+  assert.equal(state.lastReport.uid, 4);
+  assert.equal(state.mailboxes.INBOX.lastUid, 4);
+
+  const next = await fetchEmail(server, {}, { dir });
+  assert.equal(next.code, 0, next.log);
+  assert.match(next.output, /new_report=false/);
+});
+
+test("CI refuses to run without ALLOWED_SENDERS", async (t) => {
+  const server = await startImapServer({ folders: { INBOX: [message(2)] } });
+  t.after(() => server.close());
+
+  const run = await fetchEmail(server, { CI: "true", ALLOWED_SENDERS: "" });
+  assert.equal(run.code, 1);
+  assert.match(run.log, /ALLOWED_SENDERS is not set/);
+  assert.equal(run.read("data/inbox/latest.csv"), null);
+  assert.ok(!server.commands.some((c) => / SEARCH /i.test(c)));
+});
+
+test("a forged From without a DKIM/SPF pass for its domain is ignored", async (t) => {
+  const server = await startImapServer({
+    folders: {
+      INBOX: [
+        message(1, { authResults: [] }),
+        // The receiving server's verdict is on top; the pass below it came with the message
+        message(2, {
+          authResults: [
+            "mx.example.org; dkim=none; spf=fail smtp.mailfrom=attacker@evil.example",
+            "mx.example.org; dkim=pass header.d=rectrac.example",
+          ],
+        }),
+        message(3, { authResults: ["mx.example.org; dkim=pass header.d=evil.example; spf=softfail smtp.mailfrom=rectrac.example"] }),
+      ],
+    },
+  });
+  t.after(() => server.close());
+
+  const run = await fetchEmail(server, { REPORT_DEADLINE: "23:59" });
+  assert.equal(run.code, 2, run.log);
+  assert.match(run.log, /no DKIM\/SPF\/DMARC pass/);
+  assert.equal(run.read("data/inbox/latest.csv"), null);
+  assert.ok(server.commands.some((c) => / LOGOUT/i.test(c)), "logged out before exiting");
+
+  const unchecked = await fetchEmail(server, { REQUIRE_SENDER_AUTH: "false" });
+  assert.equal(unchecked.code, 0, unchecked.log);
+  assert.equal(unchecked.read("data/inbox/latest.csv"), REPORT);
+});
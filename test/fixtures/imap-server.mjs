@@ -0,0 +1,283 @@
+// imap-server.mjs
+// A small in-memory IMAP server for the fetch_email.js tests: just enough
+// of RFC 3501 for ImapFlow to log in, LIST, EXAMINE, UID SEARCH and UID
+// FETCH (envelope, structure, Authentication-Results and attachment
+// download), plus Gmail's
+// X-GM-EXT-1 capability and X-GM-RAW searches when `gmail` is set.
+//
+//   const server = await startImapServer({
+//     gmail: false,
+//     folders: {
+//       INBOX: [message, …],
+//       Archive: { specialUse: "\\All", uidValidity: 7, messages: [message, …] },
+//     },
+//   });
+//   server.port
+//   server.commands   every command line received, e.g. "A5 UID SEARCH SINCE …"
+//   await server.close()
+//
+// message: { uid, subject, from: "a@b.org", date: Date, attachment?: { filename, content },
+//            authResults?: ["mx.example; dkim=pass header.d=b.org", …] (top to bottom) }
+
+import net from "net";
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// ---------- Parsing ----------
+
+// Tokens of one command: atoms, quoted strings and literals; parentheses
+// are dropped (nothing here needs the nesting)
+function tokenize(line) {
+  const tokens = [];
+  let i = 0;
+  while (i < line.length) {
+    const ch = line[i];
+    if (ch === " " || ch === "(" || ch === ")") {
+      i++;
+    } else if (ch === '"') {
+      let value = "";
+      for (i++; i < line.length && line[i] !== '"'; i++) {
+        if (line[i] === "\\") i++;
+        value += line[i];
+      }
+      tokens.push(value);
+      i++;
+    } else if (ch === "\u0000") {
+      // A literal, already read in (see readCommands)
+      const end = line.indexOf("\u0000", i + 1);
+      tokens.push(line.slice(i + 1, end));
+      i = end + 1;
+    } else {
+      let end = i;
+      while (end < line.length && !" ()".includes(line[end])) {
+        // BODY.PEEK[1.MIME] and friends are one token
+        if (line[end] === "[") end = line.indexOf("]", end);
+        end++;
+      }
+      tokens.push(line.slice(i, end));
+      i = end;
+    }
+  }
+  return tokens;
+}
+
+function quote(s) {
+  return `"${String(s).replace(/[\\"]/g, (c) => `\\${c}`)}"`;
+}
+
+// "1,3:5,7:*" -> predicate on uid
+function uidSet(set, maxUid) {
+  const ranges = set.split(",").map((part) => {
+    const [from, to = from] = part.split(":").map((n) => (n === "*" ? maxUid : Number(n)));
+    return [Math.min(from, to), Math.max(from, to)];
+  });
+  return (uid) => ranges.some(([from, to]) => uid >= from && uid <= to);
+}
+
+// "19-Oct-2026" -> start of that day (UTC)
+function parseSearchDate(s) {
+  const [d, mon, y] = s.split("-");
+  return new Date(Date.UTC(Number(y), MONTHS.indexOf(mon), Number(d)));
+}
+
+function internalDate(d) {
+  return `${String(d.getUTCDate()).padStart(2, "0")}-${MONTHS[d.getUTCMonth()]}-${d.getUTCFullYear()} ${d
+    .toISOString()
+    .slice(11, 19)} +0000`;
+}
+
+// ---------- Messages ----------
+
+function attachmentType(filename) {
+  if (/\.xlsx$/i.test(filename)) return ["application", "vnd.openxmlformats-officedocument.spreadsheetml.sheet"];
+  if (/\.xls$/i.test(filename)) return ["application", "vnd.ms-excel"];
+  return ["text", "csv"];
+}
+
+function envelope(m) {
+  const [mailbox, host] = m.from.split("@");
+  return `(${quote(m.date.toUTCString())} ${quote(m.subject)} ((NIL NIL ${quote(mailbox)} ${quote(host)})) NIL NIL NIL NIL NIL NIL NIL)`;
+}
+
+// multipart/mixed: part 1 a short text body, part 2 the attachment (if any)
+function bodyStructure(m) {
+  const text = `("text" "plain" ("charset" "utf-8") NIL NIL "7bit" 2 1 NIL NIL NIL NIL)`;
+  if (!m.attachment) return text;
+
+  const { filename, content } = m.attachment;
+  const [type, subtype] = attachmentType(filename);
+  const size = Buffer.from(content).toString("base64").length;
+  const part = `(${quote(type)} ${quote(subtype)} ("name" ${quote(filename)}) NIL NIL "base64" ${size} NIL NIL ("attachment" ("filename" ${quote(filename)})) NIL NIL)`;
+  return `(${text}${part} "mixed" ("boundary" "b") NIL NIL NIL)`;
+}
+
+function bodyPart(m, section) {
+  if (/^HEADER\.FIELDS/i.test(section)) {
+    return (m.authResults || []).map((r) => `Authentication-Results: ${r}\r\n`).join("") + "\r\n";
+  }
+  if (section.endsWith(".MIME")) {
+    const { filename } = m.attachment;
+    const [type, subtype] = attachmentType(filename);
+    return (
+      `Content-Type: ${type}/${subtype}; name="${filename}"\r\n` +
+      "Content-Transfer-Encoding: base64\r\n" +
+      `Content-Disposition: attachment; filename="${filename}"\r\n\r\n`
+    );
+  }
+  if (section === "2" && m.attachment) return Buffer.from(m.attachment.content).toString("base64");
+  return "hi";
+}
+
+function matchesSearch(m, criteria, maxUid) {
+  for (let i = 0; i < criteria.length; i++) {
+    const key = criteria[i].toUpperCase();
+    const value = criteria[i + 1];
+    if (key === "ALL") continue;
+    i++;
+    if (key === "UID" && !uidSet(value, maxUid)(m.uid)) return false;
+    if (key === "SINCE" && m.date < parseSearchDate(value)) return false;
+    if (key === "SUBJECT" && !m.subject.toLowerCase().includes(value.toLowerCase())) return false;
+    if (key === "FROM" && !m.from.includes(value.toLowerCase())) return false;
+    if (key === "X-GM-RAW") {
+      const subject = /subject:"([^"]*)"/.exec(value)?.[1];
+      const from = /from:(\S+)/.exec(value)?.[1];
+      if (subject && !m.subject.toLowerCase().includes(subject.toLowerCase())) return false;
+      if (from && !m.from.includes(from.toLowerCase())) return false;
+      if (/has:attachment/.test(value) && !m.attachment) return false;
+    }
+  }
+  return true;
+}
+
+// ---------- Server ----------
+
+export function startImapServer({ gmail = false, folders = { INBOX: [] } } = {}) {
+  const capabilities = `IMAP4rev1 SPECIAL-USE${gmail ? " X-GM-EXT-1" : ""}`;
+  const boxes = Object.fromEntries(
+    Object.entries(folders).map(([name, box], i) => {
+      const { messages = [], specialUse = null, uidValidity = 100 + i } = Array.isArray(box) ? { messages: box } : box;
+      return [name, { messages: [...messages].sort((a, b) => a.uid - b.uid), specialUse, uidValidity }];
+    })
+  );
+  const commands = [];
+
+  const server = net.createServer((socket) => {
+    const send = (line) => socket.write(`${line}\r\n`);
+    let selected = null;
+
+    const handle = (line) => {
+      commands.push(line);
+      let [tag, command, ...args] = tokenize(line);
+      command = (command || "").toUpperCase();
+      const uid = command === "UID";
+      if (uid) command = args.shift().toUpperCase();
+
+      switch (command) {
+        case "CAPABILITY":
+          send(`* CAPABILITY ${capabilities}`);
+          return send(`${tag} OK done`);
+        case "LOGIN":
+          return send(`${tag} OK [CAPABILITY ${capabilities}] logged in`);
+        case "LIST":
+        case "LSUB":
+          if (args[1] === "") {
+            send(`* ${command} (\\Noselect) "/" ""`);
+          } else {
+            for (const [name, box] of Object.entries(boxes)) {
+              send(`* ${command} (\\HasNoChildren${box.specialUse ? ` ${box.specialUse}` : ""}) "/" ${quote(name)}`);
+            }
+          }
+          return send(`${tag} OK done`);
+        case "EXAMINE":
+        case "SELECT": {
+          selected = boxes[args[0]];
+          if (!selected) return send(`${tag} NO no such mailbox`);
+          const uidNext = (selected.messages.at(-1)?.uid || 0) + 1;
+          send(`* ${selected.messages.length} EXISTS`);
+          send("* FLAGS (\\Seen)");
+          send(`* OK [UIDVALIDITY ${selected.uidValidity}] ok`);
+          send(`* OK [UIDNEXT ${uidNext}] ok`);
+          return send(`${tag} OK [READ-ONLY] done`);
+        }
+        case "SEARCH": {
+          const messages = selected?.messages || [];
+          const maxUid = messages.at(-1)?.uid || 0;
+          const hits = messages.filter((m) => matchesSearch(m, args, maxUid)).map((m) => m.uid);
+          // Like real servers, "N:*" matches the newest message even when it's below N
+          const range = args.findIndex((a) => a.toUpperCase() === "UID");
+          if (range >= 0 && !hits.length && maxUid && args[range + 1].endsWith(":*")) hits.push(maxUid);
+          send(`* SEARCH${hits.map((h) => ` ${h}`).join("")}`);
+          return send(`${tag} OK done`);
+        }
+        case "FETCH": {
+          const messages = selected?.messages || [];
+          const wanted = uidSet(args[0], messages.at(-1)?.uid || 0);
+          const items = args.slice(1).join(" ");
+          messages.forEach((m, i) => {
+            if (!wanted(m.uid)) return;
+            const parts = Array.from(items.matchAll(/BODY\.PEEK\[([^\]]*)\]/gi), (p) => {
+              const body = bodyPart(m, p[1]);
+              return `BODY[${p[1]}] {${Buffer.byteLength(body)}}\r\n${body}`;
+            });
+            if (/BODYSTRUCTURE/i.test(items)) {
+              parts.unshift(
+                `INTERNALDATE ${quote(internalDate(m.date))} ENVELOPE ${envelope(m)} BODYSTRUCTURE ${bodyStructure(m)}`
+              );
+            }
+            send(`* ${i + 1} FETCH (UID ${m.uid} ${parts.join(" ")})`);
+          });
+          return send(`${tag} OK done`);
+        }
+        case "LOGOUT":
+          send("* BYE logging out");
+          send(`${tag} OK done`);
+          return socket.end();
+        case "ID":
+        case "ENABLE":
+        case "NOOP":
+        case "NAMESPACE":
+          return send(`${tag} OK done`);
+        default:
+          return send(`${tag} BAD unknown command`);
+      }
+    };
+
+    // Lines, with {n} literals read in and marked off for tokenize()
+    let buffer = Buffer.alloc(0);
+    let pending = "";
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (;;) {
+        const eol = buffer.indexOf("\r\n");
+        if (eol < 0) return;
+        const line = buffer.subarray(0, eol).toString();
+        const literal = /\{(\d+)(\+?)\}$/.exec(line);
+        if (literal) {
+          const size = Number(literal[1]);
+          if (!literal[2] && buffer.length === eol + 2) send("+ go ahead");
+          if (buffer.length < eol + 2 + size) return;
+          const value = buffer.subarray(eol + 2, eol + 2 + size).toString();
+          pending += `${line.slice(0, literal.index)}\u0000${value}\u0000`;
+          buffer = buffer.subarray(eol + 2 + size);
+          continue;
+        }
+        buffer = buffer.subarray(eol + 2);
+        handle(pending + line);
+        pending = "";
+      }
+    });
+    socket.on("error", () => {});
+
+    send(`* OK [CAPABILITY ${capabilities}] test server ready`);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        port: server.address().port,
+        commands,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    );
+  });
+}
@@ -0,0 +1,172 @@
+// ingest.test.mjs
+// The ingest adapters (scripts/ingest/*.mjs): url against a local HTTP
+// server (auth, ETag / 304, unchanged content), folder, upload, email's
+// "no new report" against the local IMAP server, and that a report which
+// fails to build is offered again.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { startImapServer } from "./fixtures/imap-server.mjs";
+
+// The adapters read their paths from the environment when loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ingest-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+Object.assign(process.env, {
+  OUT_CSV: path.join(dir, "inbox", "latest.csv"),
+  OUT_META: path.join(dir, "inbox", "latest.meta.json"),
+  INGEST_STATE_FILE: path.join(dir, "state", "url-state.json"),
+  STATE_FILE: path.join(dir, "state", "fetch-state.json"),
+  OUT_JSON: path.join(dir, "events.json"),
+  NOTIFY_FILE: path.join(dir, "alerts.log"),
+  DROP_DIR: path.join(dir, "drop"),
+});
+const { ingest } = await import("../scripts/ingest.mjs");
+const url = await import("../scripts/ingest/url.mjs");
+const folder = await import("../scripts/ingest/folder.mjs");
+const upload = await import("../scripts/ingest/upload.mjs");
+const email = await import("../scripts/ingest/email.mjs");
+
+const REPORT = "Facility,Reserved Time,Reservee,Reservation Purpose\r\n";
+// No columns transform.mjs can use, so building it fails
+const BROKEN = "Something else entirely\r\n1,2,3\r\n";
+const OUT_JSON = process.env.OUT_JSON;
+const readInput = () => fs.readFileSync(process.env.OUT_CSV, "utf8");
+const readMeta = () => JSON.parse(fs.readFileSync(process.env.OUT_META, "utf8"));
+
+// Serves `report.body` at /report.csv with an ETag, answering
+// If-None-Match with 304; records every request's headers
+function startReportServer(report) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    if (req.headers.authorization !== "Bearer s3cret") {
+      res.writeHead(401).end();
+    } else if (req.headers["if-none-match"] === report.etag) {
+      res.writeHead(304).end();
+    } else {
+      res.writeHead(200, { "Content-Type": "text/csv", ETag: report.etag }).end(report.body);
+    }
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/report.csv`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    )
+  );
+}
+
+test("url: pulls the report, then skips it while unchanged", async (t) => {
+  const report = { body: REPORT, etag: '"v1"' };
+  const server = await startReportServer(report);
+  t.after(() => server.close());
+  process.env.INGEST_TOKEN = "s3cret";
+  t.after(() => delete process.env.INGEST_TOKEN);
+
+  const input = await url.pull({ url: server.url });
+  assert.deepEqual(input, { csv: process.env.OUT_CSV, meta: process.env.OUT_META });
+  assert.equal(readInput(), REPORT);
+  assert.equal(readMeta().source, "url");
+  assert.equal(readMeta().attachment, "report.csv");
+  await url.published();
+
+  // Same ETag -> 304
+  assert.equal(await url.pull({ url: server.url }), null);
+  assert.equal(server.requests.at(-1)["if-none-match"], '"v1"');
+
+  // New ETag, same bytes -> not ingested again
+  report.etag = '"v2"';
+  assert.equal(await url.pull({ url: server.url }), null);
+
+  report.etag = '"v3"';
+  report.body = `${REPORT}"Half Court 9A","10/19/2026 9:00 AM - 10:00 AM",Someone,Practice\r\n`;
+  assert.ok(await url.pull({ url: server.url }));
+  assert.equal(readInput(), report.body);
+  await url.published();
+});
+
+test("url: a report that fails to build is pulled again", async (t) => {
+  const report = { body: BROKEN, etag: '"broken"' };
+  const server = await startReportServer(report);
+  t.after(() => server.close());
+  process.env.INGEST_TOKEN = "s3cret";
+  t.after(() => delete process.env.INGEST_TOKEN);
+
+  await assert.rejects(ingest("url", { pullOptions: { url: server.url }, outputJson: OUT_JSON }));
+  assert.ok(await url.pull({ url: server.url }), "pulled again after the failed build");
+  assert.equal(server.requests.at(-1)["if-none-match"], undefined);
+
+  await url.published();
+  assert.equal(await url.pull({ url: server.url }), null);
+});
+
+test("url: credentials in the URL are sent as basic auth, and kept out of errors", async (t) => {
+  const server = await startReportServer({ body: REPORT, etag: '"v1"' });
+  t.after(() => server.close());
+
+  const withUser = server.url.replace("http://", "http://board:pw@");
+  await assert.rejects(url.pull({ url: withUser }), (err) => {
+    assert.match(err.message, /HTTP 401/);
+    assert.doesNotMatch(err.message, /pw/);
+    return true;
+  });
+  assert.equal(server.requests.at(-1).authorization, `Basic ${Buffer.from("board:pw").toString("base64")}`);
+});
+
+test("url: rejects schemes it can't fetch", async () => {
+  await assert.rejects(url.pull({ url: "ftp://example.org/report.csv" }), /Unsupported INGEST_URL scheme/);
+});
+
+test("folder: a file stays in the drop folder until it has been published", async () => {
+  const dropped = path.join(process.env.DROP_DIR, "report.csv");
+  fs.mkdirSync(process.env.DROP_DIR, { recursive: true });
+  fs.writeFileSync(dropped, BROKEN);
+
+  await assert.rejects(ingest("folder", { outputJson: OUT_JSON }));
+  assert.ok(fs.existsSync(dropped));
+
+  assert.ok(await folder.pull());
+  assert.equal(readInput(), BROKEN);
+  assert.equal(readMeta().source, "folder");
+  await folder.published();
+  assert.ok(!fs.existsSync(dropped));
+  assert.equal(fs.readdirSync(path.join(process.env.DROP_DIR, "processed")).length, 1);
+  assert.equal(await folder.pull(), null);
+});
+
+test("upload: saves the content with only the file's base name", async () => {
+  const input = await upload.pull({ content: REPORT, filename: "C:\\fakepath/../report.csv", uploadedBy: "front desk" });
+  assert.deepEqual(input, { csv: process.env.OUT_CSV, meta: process.env.OUT_META });
+  assert.equal(readInput(), REPORT);
+
+  const meta = readMeta();
+  assert.equal(meta.source, "upload");
+  assert.equal(meta.attachment, "report.csv");
+  assert.equal(meta.uploadedBy, "front desk");
+});
+
+test("upload: empty content is an error", async () => {
+  await assert.rejects(upload.pull({ content: "" }), /needs the report content/);
+});
+
+test("email: no report yet is nothing new, not a failure", async (t) => {
+  const server = await startImapServer({ folders: { INBOX: [] } });
+  t.after(() => server.close());
+  Object.assign(process.env, {
+    IMAP_HOST: "127.0.0.1",
+    IMAP_PORT: String(server.port),
+    IMAP_SECURE: "false",
+    IMAP_PASS: "secret",
+    ALLOWED_SENDERS: "reports@rectrac.example",
+    REPORT_DEADLINE: "23:59",
+    LOG_LEVEL: "silent",
+  });
+
+  assert.equal(await email.pull(), null);
+});
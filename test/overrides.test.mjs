@@ -0,0 +1,157 @@
+// overrides.test.mjs
+// overrides.mjs: validating overrides.json, applying overrides in their
+// fixed order (hide, rename, block, add), and expiry by date vs. datetime.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateOverrides,
+  assertValidOverrides,
+  applyOverrides,
+  activeAnnouncements,
+  isExpired,
+} from "../overrides.mjs";
+
+const TODAY = "2026-10-19";
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+function slot(fields) {
+  return { roomId: "9A", date: TODAY, startMin: 18 * 60, endMin: 20 * 60, title: "Volleyball Club", subtitle: "Practice", ...fields };
+}
+
+const summary = (slots) => slots.map((s) => `${s.roomId} ${s.title}${s.closed ? " (closed)" : ""}`);
+
+// ---------- Validation ----------
+
+test("a valid overrides.json has no problems", () => {
+  const data = {
+    overrides: [
+      { id: "h", action: "hide", match: "pickleball" },
+      { id: "r", action: "rename", rooms: ["9A"], title: "Club Night" },
+      { id: "b", action: "block", rooms: ["10A"], date: TODAY, start: "17:00", end: "19:00" },
+      { id: "a", action: "add", rooms: ["10B"], start: "06:00", end: "07:00", title: "Setup", expires: "2026-10-20T08:00" },
+    ],
+    announcements: [{ id: "n", text: "Parking lot closed", level: "warning", expires: "2026-10-20" }],
+  };
+  assert.deepEqual(validateOverrides(data), []);
+  assert.equal(assertValidOverrides(data), data);
+});
+
+test("invalid overrides are each reported", () => {
+  const problems = validateOverrides({
+    overrides: [
+      { action: "erase" },
+      { action: "hide" },
+      { action: "rename", match: "x" },
+      { action: "add", rooms: ["9A"], start: "10:00", end: "09:00", title: "Oops" },
+      { action: "block", rooms: [], start: "10:00", end: "11:00" },
+      { action: "add", rooms: ["9A"], title: "No times" },
+      { action: "hide", match: "x", date: "10/19/2026", start: "25:00", expires: "whenever" },
+    ],
+    announcements: [{ text: "" }, { text: "Hi", level: "urgent" }],
+  });
+
+  const expect = [
+    /overrides\[0\]: action must be one of/,
+    /overrides\[1\]: hide needs a match or rooms/,
+    /overrides\[2\]: rename needs a title or subtitle/,
+    /overrides\[3\]: end must be after start/,
+    /overrides\[4\]: block needs at least one room/,
+    /overrides\[5\]: add needs a start and end time/,
+    /overrides\[6\]: date must be "YYYY-MM-DD"/,
+    /overrides\[6\]: start\/end must be "HH:MM"/,
+    /overrides\[6\]: expires must be/,
+    /announcements\[0\]: text must be a non-empty string/,
+    /announcements\[1\]: level must be one of/,
+  ];
+  for (const pattern of expect) assert.ok(problems.some((p) => pattern.test(p)), `${pattern} in ${problems.join("; ")}`);
+  assert.equal(problems.length, expect.length);
+
+  assert.deepEqual(validateOverrides([]), ["overrides.json must be an object"]);
+  assert.throws(() => assertValidOverrides({ overrides: {} }), /overrides.json is invalid:\n {2}- overrides: must be an array/);
+});
+
+// ---------- Applying ----------
+
+test("hides run before renames, and match is checked against the original titles", () => {
+  const slots = [slot({ title: "Open Pickleball" }), slot({ roomId: "9B", title: "Volleyball Club" })];
+  const overrides = [
+    // Listed first, but renames run after hides: the renamed slot is still hidden
+    { id: "r", action: "rename", match: "pickleball", title: "Drop-in Pickleball" },
+    { id: "r2", action: "rename", match: "volleyball", title: "Pickleball Social" },
+    { id: "h", action: "hide", match: "pickleball" },
+  ];
+
+  const result = applyOverrides(slots, overrides, NOW);
+  // "Pickleball Social" is only a new name, so the hide doesn't catch it
+  assert.deepEqual(summary(result), ["9B Pickleball Social"]);
+  assert.equal(result[0].override, "r2");
+  assert.equal(result[0].subtitle, "Practice");
+});
+
+test("blocks ignore match, drop what overlaps and come before adds", () => {
+  const slots = [
+    slot({ roomId: "10A", startMin: 17 * 60, endMin: 18 * 60, title: "Early" }),
+    slot({ roomId: "10A", startMin: 19 * 60, endMin: 20 * 60, title: "Late" }),
+    slot({ roomId: "10B", startMin: 17 * 60, endMin: 18 * 60, title: "Other room" }),
+  ];
+  const overrides = [
+    { id: "a", action: "add", rooms: ["10A"], start: "19:00", end: "20:00", title: "Staff event" },
+    { id: "b", action: "block", rooms: ["10A"], start: "16:30", end: "18:30", match: "nothing like this" },
+  ];
+
+  const result = applyOverrides(slots, overrides, NOW);
+  assert.deepEqual(summary(result), ["10A Late", "10B Other room", "10A Closed (closed)", "10A Staff event"]);
+
+  const block = result.find((s) => s.closed);
+  assert.deepEqual(
+    { date: block.date, startMin: block.startMin, endMin: block.endMin, override: block.override },
+    { date: TODAY, startMin: 16 * 60 + 30, endMin: 18 * 60 + 30, override: "b" }
+  );
+});
+
+test("date, rooms and time window limit which slots an override covers", () => {
+  const slots = [
+    slot({ title: "Tonight" }),
+    slot({ title: "Tomorrow night", date: "2026-10-20" }),
+    slot({ title: "Morning", startMin: 8 * 60, endMin: 9 * 60 }),
+    slot({ title: "Other room", roomId: "1A" }),
+  ];
+  const overrides = [{ id: "h", action: "hide", rooms: ["9A"], date: TODAY, start: "17:00", end: "23:00" }];
+
+  assert.deepEqual(summary(applyOverrides(slots, overrides, NOW)), [
+    "9A Tomorrow night",
+    "9A Morning",
+    "1A Other room",
+  ]);
+});
+
+// ---------- Expiry ----------
+
+test("a date expiry lasts to the end of that day, a datetime to that minute", () => {
+  assert.equal(isExpired({ expires: TODAY }, new Date(2026, 9, 19, 23, 59)), false);
+  assert.equal(isExpired({ expires: TODAY }, new Date(2026, 9, 20, 0, 0)), true);
+
+  assert.equal(isExpired({ expires: "2026-10-19T18:00" }, new Date(2026, 9, 19, 17, 59)), false);
+  assert.equal(isExpired({ expires: "2026-10-19T18:00" }, new Date(2026, 9, 19, 18, 0)), true);
+
+  assert.equal(isExpired({}, NOW), false);
+});
+
+test("expired overrides and announcements are skipped", () => {
+  const slots = [slot({ title: "Open Pickleball" })];
+  const overrides = [
+    { id: "old", action: "hide", match: "pickleball", expires: "2026-10-18" },
+    { id: "soon", action: "rename", match: "pickleball", title: "Pickleball (last day)", expires: "2026-10-19T13:00" },
+  ];
+
+  assert.deepEqual(summary(applyOverrides(slots, overrides, NOW)), ["9A Pickleball (last day)"]);
+  assert.deepEqual(summary(applyOverrides(slots, overrides, new Date(2026, 9, 19, 13, 0))), ["9A Open Pickleball"]);
+
+  const announcements = [
+    { id: "i", text: "Welcome" },
+    { id: "w", text: "Lot closed", level: "warning", expires: TODAY },
+    { id: "x", text: "Yesterday", expires: "2026-10-18" },
+  ];
+  assert.deepEqual(activeAnnouncements(announcements, NOW).map((a) => a.id), ["w", "i"]);
+});
@@ -0,0 +1,96 @@
+// transform.test.mjs
+// scripts/transform.mjs: reading dates and time ranges from the report,
+// and the reservation id slots carry.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseTimeRange, parseDateKey, loadSlotsFromCsv } from "../scripts/transform.mjs";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "transform-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// CSV rows -> a report file in the scratch directory
+function writeReport(name, rows) {
+  const file = path.join(dir, name);
+  const lines = ["Facility,Reserved Time,Reservee,Reservation Purpose", ...rows.map((r) => r.map((c) => `"${c}"`).join(","))];
+  fs.writeFileSync(file, lines.join("\r\n") + "\r\n");
+  return file;
+}
+
+test("dates in file names and cells", () => {
+  assert.equal(parseDateKey("report_2026-10-19.csv"), "2026-10-19");
+  assert.equal(parseDateKey("report_20261019.csv"), "2026-10-19");
+  assert.equal(parseDateKey("10/19/2026"), "2026-10-19");
+  assert.equal(parseDateKey("10-19-26"), "2026-10-19");
+  assert.equal(parseDateKey("Monday, October 19, 2026"), "2026-10-19");
+});
+
+test("eight digits that aren't a valid YYYYMMDD are read as MMDDYYYY", () => {
+  assert.equal(parseDateKey("report_10192026.csv"), "2026-10-19");
+  assert.equal(parseDateKey("AC Daily Facility 01022026.xlsx"), "2026-01-02");
+  assert.equal(parseDateKey("report_13192026.csv"), null);
+  assert.equal(parseDateKey("latest.csv"), null);
+});
+
+test("time ranges with am/pm on either side", () => {
+  assert.deepEqual(parseTimeRange("7:30pm -  9:30pm"), { startMin: 1170, endMin: 1290 });
+  assert.deepEqual(parseTimeRange("7:00 PM - 9:00 PM"), { startMin: 1140, endMin: 1260 });
+  assert.deepEqual(parseTimeRange("11 - 1pm"), { startMin: 660, endMin: 780 });
+  assert.deepEqual(parseTimeRange("9 - 11am"), { startMin: 540, endMin: 660 });
+  assert.deepEqual(parseTimeRange("noon to 2pm"), { startMin: 720, endMin: 840 });
+});
+
+test("24-hour ranges and overnight bookings", () => {
+  assert.deepEqual(parseTimeRange("19:00 - 21:00"), { startMin: 1140, endMin: 1260 });
+  assert.deepEqual(parseTimeRange("09:00 - 17:00"), { startMin: 540, endMin: 1020 });
+  assert.deepEqual(parseTimeRange("11:00pm - 1:00am"), { startMin: 1380, endMin: 1500 });
+});
+
+test("a range with no am/pm on either side is unreadable", () => {
+  assert.match(parseTimeRange("9 - 5").error, /no am\/pm/);
+  assert.match(parseTimeRange("9:00 - 11:30").error, /no am\/pm/);
+});
+
+test("other unreadable ranges", () => {
+  assert.ok(parseTimeRange("").error);
+  assert.ok(parseTimeRange("7pm").error);
+  assert.ok(parseTimeRange("7pm - 25:00").error);
+  assert.ok(parseTimeRange("7pm - 7pm").error);
+});
+
+test("ambiguous ranges are counted as unreadable, not booked overnight", () => {
+  const file = writeReport("ambiguous.csv", [
+    ["Half Court 9A", "9 - 5", "Someone", "Practice"],
+    ["Half Court 9A", "6:00 PM - 7:00 PM", "Someone Else", "Practice"],
+  ]);
+  const { timeWarnings, groups } = loadSlotsFromCsv(file, "2026-10-19");
+
+  assert.equal(timeWarnings.length, 1);
+  assert.equal(timeWarnings[0].timeRange, "9 - 5");
+  assert.equal(groups.find((g) => g.timeRange === "9 - 5").endMin, undefined);
+});
+
+test("every slot of a reservation carries the same id, which doesn't name the reservee", () => {
+  const file = writeReport("reservation.csv", [
+    // 9A and 9B
+    ["AC Gym - Full Gym 9 & 10", "6:00 PM - 7:00 PM", "Someone", "Practice"],
+    ["AC Gym - Court 9-AB", "6:00 PM - 7:00 PM", "Someone", "Practice"],
+    ["AC Gym - Half Court 9A", "6:00 PM - 7:00 PM", "Someone", "Practice"],
+    ["AC Gym - Half Court 9B", "6:00 PM - 7:00 PM", "Someone", "Practice"],
+    ["AC Gym - Full Gym 9 & 10", "7:00 PM - 8:00 PM", "Someone", "Practice"],
+    ["AC Gym - Court 9-AB", "7:00 PM - 8:00 PM", "Someone", "Practice"],
+    ["AC Gym - Half Court 9A", "7:00 PM - 8:00 PM", "Someone", "Practice"],
+  ]);
+  const { slots } = loadSlotsFromCsv(file, "2026-10-19");
+  const again = loadSlotsFromCsv(file, "2026-10-19").slots;
+
+  const evening = slots.filter((s) => s.startMin === 18 * 60);
+  assert.deepEqual(evening.map((s) => s.roomId), ["9A", "9B"]);
+  assert.equal(new Set(evening.map((s) => s.reservation)).size, 1);
+  assert.notEqual(slots.find((s) => s.startMin === 19 * 60).reservation, evening[0].reservation);
+  assert.deepEqual(again.map((s) => s.reservation), slots.map((s) => s.reservation));
+  assert.ok(slots.every((s) => !s.reservation.includes("Someone")));
+});
@@ -0,0 +1,114 @@
+// visibility.test.mjs
+// visibility.mjs: which slots the board shows at a given time — the
+// from/until boundaries of rules, first match wins, grace and
+// tomorrow's first bookings after close (23:00 in facility-config.mjs).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_VISIBILITY, resolveVisibility, validateVisibility, visibleSlots } from "../visibility.mjs";
+
+const TODAY = "2026-10-19";
+const TOMORROW = "2026-10-20";
+
+// Local time on TODAY
+const at = (hh, mm = 0) => new Date(2026, 9, 19, hh, mm);
+
+function slot(fields) {
+  return { roomId: "9A", date: TODAY, startMin: 9 * 60, endMin: 15 * 60, title: "Booking", subtitle: "", ...fields };
+}
+
+const titles = (slots) => slots.map((s) => s.title);
+
+test("the default rule hides Open Pickleball strictly after 12:30", () => {
+  const slots = [slot({ title: "Open Pickleball" }), slot({ title: "Volleyball" })];
+
+  assert.deepEqual(titles(visibleSlots(slots, DEFAULT_VISIBILITY, at(12, 29))), ["Open Pickleball", "Volleyball"]);
+  assert.deepEqual(titles(visibleSlots(slots, DEFAULT_VISIBILITY, at(12, 30))), ["Open Pickleball", "Volleyball"]);
+  assert.deepEqual(titles(visibleSlots(slots, DEFAULT_VISIBILITY, at(12, 31))), ["Volleyball"]);
+});
+
+test("a rule applies before `until`, not at it", () => {
+  const config = { ...DEFAULT_VISIBILITY, rules: [{ action: "hide", match: "setup", until: "08:00" }] };
+  const slots = [slot({ title: "Setup crew", startMin: 6 * 60 })];
+
+  assert.deepEqual(titles(visibleSlots(slots, config, at(7, 59))), []);
+  assert.deepEqual(titles(visibleSlots(slots, config, at(8, 0))), ["Setup crew"]);
+});
+
+test("finished bookings drop off, or linger for graceMinutes", () => {
+  const slots = [slot({ endMin: 10 * 60 })];
+
+  assert.equal(visibleSlots(slots, DEFAULT_VISIBILITY, at(9, 59)).length, 1);
+  assert.equal(visibleSlots(slots, DEFAULT_VISIBILITY, at(10, 0)).length, 0);
+  assert.equal(visibleSlots(slots, { ...DEFAULT_VISIBILITY, graceMinutes: 15 }, at(10, 14)).length, 1);
+  assert.equal(visibleSlots(slots, { ...DEFAULT_VISIBILITY, graceMinutes: 15 }, at(10, 15)).length, 0);
+});
+
+test("the first matching rule wins", () => {
+  const config = {
+    ...DEFAULT_VISIBILITY,
+    rules: [
+      { action: "show", match: "league", rooms: ["10A"], graceMinutes: 60 },
+      { action: "hide", match: "pickleball" },
+    ],
+  };
+  const slots = [
+    slot({ roomId: "10A", title: "Pickleball League", endMin: 12 * 60 }),
+    slot({ roomId: "9A", title: "Pickleball League", endMin: 12 * 60 }),
+  ];
+
+  // 10A: the "show" rule matches first, so the hide never applies and its grace is used
+  assert.deepEqual(
+    visibleSlots(slots, config, at(12, 30)).map((s) => s.roomId),
+    ["10A"]
+  );
+  assert.deepEqual(visibleSlots(slots, config, at(13, 0)), []);
+});
+
+test("match takes a /regex/ and checks the subtitle too", () => {
+  const config = { ...DEFAULT_VISIBILITY, rules: [{ action: "hide", match: /\bprivate\b/i }] };
+  const slots = [slot({ title: "Private Event" }), slot({ title: "Rental", subtitle: "private party" })];
+
+  assert.deepEqual(titles(visibleSlots(slots, config, at(10))), []);
+});
+
+test("only today's slots show (slots without a date count as today)", () => {
+  const slots = [slot({ title: "Today" }), slot({ title: "Undated", date: undefined }), slot({ title: "Tomorrow", date: TOMORROW })];
+
+  assert.deepEqual(titles(visibleSlots(slots, DEFAULT_VISIBILITY, at(10))), ["Today", "Undated"]);
+});
+
+test("tomorrowAfterClose adds each room's first bookings from closing time", () => {
+  const config = resolveVisibility({ tomorrowAfterClose: { enabled: true, perRoom: 1 } });
+  const slots = [
+    slot({ title: "9A second", date: TOMORROW, startMin: 10 * 60, endMin: 11 * 60 }),
+    slot({ title: "9A first", date: TOMORROW, startMin: 8 * 60, endMin: 9 * 60 }),
+    slot({ title: "10A first", roomId: "10A", date: TOMORROW, startMin: 7 * 60, endMin: 8 * 60 }),
+    slot({ title: "Later", date: "2026-10-21" }),
+  ];
+
+  assert.deepEqual(visibleSlots(slots, config, at(22, 59)), []);
+
+  const shown = visibleSlots(slots, config, at(23, 0));
+  assert.deepEqual(titles(shown).sort(), ["10A first", "9A first"]);
+  assert.ok(shown.every((s) => s.tomorrow === true));
+
+  const two = resolveVisibility({ tomorrowAfterClose: { enabled: true, perRoom: 2 } });
+  assert.deepEqual(titles(visibleSlots(slots, two, at(23, 30))).sort(), ["10A first", "9A first", "9A second"]);
+});
+
+test("tomorrow's bookings are judged by the rules as of the start of their day", () => {
+  const config = resolveVisibility({ tomorrowAfterClose: { enabled: true } });
+  const slots = [slot({ title: "Open Pickleball", date: TOMORROW })];
+
+  // The 12:30 rule doesn't apply at midnight, even though it's 23:30 now
+  assert.deepEqual(titles(visibleSlots(slots, config, at(23, 30))), ["Open Pickleball"]);
+});
+
+test("invalid settings are reported, and ignored by resolveVisibility", (t) => {
+  const problems = validateVisibility({ graceMinutes: -1, rules: [{ action: "blink", from: "25:00" }] });
+  assert.equal(problems.length, 3);
+
+  t.mock.method(console, "warn", () => {});
+  assert.equal(resolveVisibility({ rules: [{ action: "blink" }] }), DEFAULT_VISIBILITY);
+});
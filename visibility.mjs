@@ -0,0 +1,151 @@
+// visibility.mjs
+// Which slots the board shows right now. One place for every display-time
+// rule: what has ended, what to hide or keep at certain times of day, how
+// long a finished booking lingers, and tomorrow's first bookings after close.
+// Plain ES module with no Node or DOM dependencies (like schedule.mjs).
+//
+//   graceMinutes   a booking stays on screen this long after it ends (default 0)
+//   tomorrowAfterClose
+//                  { enabled, perRoom }: from closing time (facility-config.mjs
+//                  operatingHours.close), also show each room's first `perRoom`
+//                  bookings of the next day
+//   rules          tried in order, first match wins; a slot no rule matches
+//                  is shown until it ends (plus grace)
+//     name:     for logs
+//     action:   "hide" | "show" ("show" keeps it, so later hides don't apply)
+//     match:    text in the title or subtitle (case-insensitive), or a /regex/
+//     rooms:    ["9A", …]  only these rooms
+//     from, until: "HH:MM"; the rule only applies after `from` and before
+//               `until` (tomorrow's bookings are judged as of the start of their day)
+//     graceMinutes: for "show", overrides the top-level graceMinutes
+//
+// Display profiles can override any of these with a `visibility` key
+// (display-profiles.mjs); `rules` given there replace the default list.
+
+import { FACILITY_CONFIG } from "./facility-config.mjs";
+import { dateKey, toDate, parseClock } from "./schedule.mjs";
+
+export const DEFAULT_VISIBILITY = {
+  graceMinutes: 0,
+  tomorrowAfterClose: { enabled: false, perRoom: 1 },
+  rules: [
+    // Open Pickleball drops off the board after the morning session
+    { name: "Open Pickleball after 12:30pm", action: "hide", match: "pickleball", from: "12:30" },
+  ],
+};
+
+const ACTIONS = ["hide", "show"];
+
+// ---------- Config ----------
+
+export function validateVisibility(config) {
+  const problems = [];
+  const isMinutes = (v) => Number.isFinite(v) && v >= 0;
+
+  if (config.graceMinutes != null && !isMinutes(config.graceMinutes)) {
+    problems.push("graceMinutes: must be a number of minutes");
+  }
+  const tomorrow = config.tomorrowAfterClose;
+  if (tomorrow != null && (typeof tomorrow !== "object" || (tomorrow.perRoom != null && !(tomorrow.perRoom >= 1)))) {
+    problems.push("tomorrowAfterClose: must be { enabled, perRoom } with perRoom of at least 1");
+  }
+  if (!Array.isArray(config.rules)) {
+    problems.push("rules: must be an array");
+    return problems;
+  }
+
+  config.rules.forEach((rule, i) => {
+    const where = `rules[${i}]${rule?.name ? ` (${rule.name})` : ""}`;
+    if (!ACTIONS.includes(rule?.action)) problems.push(`${where}: action must be one of ${ACTIONS.join(", ")}`);
+    if (rule?.match != null && typeof rule.match !== "string" && !(rule.match instanceof RegExp)) {
+      problems.push(`${where}: match must be text or a /regex/`);
+    }
+    if (rule?.rooms != null && !Array.isArray(rule.rooms)) problems.push(`${where}: rooms must be a list of room ids`);
+    for (const key of ["from", "until"]) {
+      if (rule?.[key] != null && parseClock(rule[key]) == null) problems.push(`${where}: ${key} must be "HH:MM"`);
+    }
+    if (rule?.graceMinutes != null && !isMinutes(rule.graceMinutes)) {
+      problems.push(`${where}: graceMinutes must be a number of minutes`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * DEFAULT_VISIBILITY with a profile's `visibility` overrides on top.
+ * An invalid override is ignored (with a warning) so a typo never blanks a TV.
+ */
+export function resolveVisibility(overrides = {}, defaults = DEFAULT_VISIBILITY) {
+  const config = {
+    ...defaults,
+    ...overrides,
+    tomorrowAfterClose: { ...defaults.tomorrowAfterClose, ...overrides.tomorrowAfterClose },
+  };
+  const problems = validateVisibility(config);
+  if (problems.length) {
+    console.warn(`Ignoring invalid visibility settings:\n  - ${problems.join("\n  - ")}`);
+    return defaults;
+  }
+  return config;
+}
+
+// ---------- Rules ----------
+
+function ruleMatches(rule, slot, nowMin) {
+  if (rule.rooms && !rule.rooms.includes(slot.roomId)) return false;
+
+  const from = parseClock(rule.from);
+  const until = parseClock(rule.until);
+  if (from != null && nowMin <= from) return false;
+  if (until != null && nowMin >= until) return false;
+
+  if (rule.match != null) {
+    const text = `${slot.title || ""}\n${slot.subtitle || ""}`;
+    if (rule.match instanceof RegExp) {
+      if (!rule.match.test(text)) return false;
+    } else if (!text.toLowerCase().includes(rule.match.toLowerCase())) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Should `slot` show when it's `nowMin` minutes into the slot's own day?
+function isVisible(slot, config, nowMin) {
+  const rule = config.rules.find((r) => ruleMatches(r, slot, nowMin));
+  if (rule?.action === "hide") return false;
+
+  const grace = rule?.graceMinutes ?? config.graceMinutes ?? 0;
+  return slot.endMin + grace > nowMin;
+}
+
+// Each room's first `perRoom` bookings on the day after `today`
+function tomorrowsFirst(slots, today, perRoom) {
+  const tomorrow = dateKey(toDate(today, 24 * 60));
+  const byRoom = new Map();
+  for (const slot of slots.filter((s) => s.date === tomorrow).sort((a, b) => a.startMin - b.startMin)) {
+    const list = byRoom.get(slot.roomId) || [];
+    if (list.length < perRoom) byRoom.set(slot.roomId, [...list, slot]);
+  }
+  return Array.from(byRoom.values()).flat();
+}
+
+/**
+ * The slots to show at `now`: today's (slots without a date count as
+ * today) that the rules keep, plus tomorrow's first bookings after close
+ * when enabled. Tomorrow's slots are returned with `tomorrow: true`.
+ */
+export function visibleSlots(slots, config = DEFAULT_VISIBILITY, now = new Date()) {
+  const today = dateKey(now);
+  const nowMin = now.getHours() * 60 + now.getMinutes();
+
+  const shown = slots.filter((s) => (!s.date || s.date === today) && isVisible(s, config, nowMin));
+
+  const tomorrow = config.tomorrowAfterClose;
+  const close = parseClock(FACILITY_CONFIG.operatingHours.close);
+  if (tomorrow?.enabled && nowMin >= close) {
+    const upcoming = tomorrowsFirst(slots, today, tomorrow.perRoom ?? 1).filter((s) => isVisible(s, config, 0));
+    shown.push(...upcoming.map((s) => ({ ...s, tomorrow: true })));
+  }
+  return shown;
+}